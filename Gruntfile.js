@@ -20,7 +20,8 @@ module.exports = function (grunt) {
     // configurable paths
     var yeomanConfig = {
         app: 'app',
-        dist: 'dist'
+        dist: 'dist',
+        distFirefox: 'dist-firefox'
     };
 
     grunt.initConfig({
@@ -63,6 +64,7 @@ module.exports = function (grunt) {
                     src: [
                         '.tmp',
                         '<%= yeoman.dist %>/*',
+                        '<%= yeoman.distFirefox %>/*',
                         '!<%= yeoman.dist %>/.git*'
                     ]
                 }]
@@ -124,8 +126,10 @@ module.exports = function (grunt) {
                     data: function() {
                         return {
                             pkg: grunt.file.readJSON('package.json'),
-                            css: grunt.file.read('dist/styles/main.css'),
-                            script: grunt.file.read('dist/scripts/contentscript.js')
+                            css: JSON.stringify(grunt.file.read('dist/styles/main.css')),
+                            script: grunt.file.readJSON('app/manifest.json').content_scripts[0].js.map(function(file) {
+                                return grunt.file.read('dist/' + file);
+                            }).join('\n')
                         };
                     }
                 },
@@ -222,6 +226,19 @@ module.exports = function (grunt) {
                         'generated/*'
                     ]
                 }]
+            },
+            // Firefox build shares the Chrome build, except for its manifest
+            firefox: {
+                files: [{
+                    expand: true,
+                    dot: true,
+                    cwd: '<%= yeoman.dist %>',
+                    dest: '<%= yeoman.distFirefox %>',
+                    src: [
+                        '**',
+                        '!manifest.json'
+                    ]
+                }]
             }
         },
         concurrent: {
@@ -255,6 +272,17 @@ module.exports = function (grunt) {
                     src: ['**'],
                     dest: ''
                 }]
+            },
+            firefox: {
+                options: {
+                    archive: 'package/admin_helper_firefox.zip'
+                },
+                files: [{
+                    expand: true,
+                    cwd: 'dist-firefox/',
+                    src: ['**'],
+                    dest: ''
+                }]
             }
         },
         bump: {
@@ -286,6 +314,17 @@ module.exports = function (grunt) {
             }
         }
     });
+    grunt.registerTask('firefoxManifest', 'Write the Firefox manifest, with Firefox specific settings', function() {
+        var manifest = grunt.file.readJSON(yeomanConfig.dist + '/manifest.json');
+        var overrides = grunt.file.readJSON('tools/manifest.firefox.json');
+
+        Object.keys(overrides).forEach(function(key) {
+            manifest[key] = overrides[key];
+        });
+
+        grunt.file.write(yeomanConfig.distFirefox + '/manifest.json', JSON.stringify(manifest, null, 4));
+    });
+
     grunt.registerTask('test', [
         'jshint',
         'clean:server',
@@ -302,9 +341,12 @@ module.exports = function (grunt) {
         'cssmin',
         'concat',
         'uglify',
-        'copy',
+        'copy:dist',
         'usemin',
-        'compress',
+        'compress:dist',
+        'copy:firefox',
+        'firefoxManifest',
+        'compress:firefox',
         'template'
     ]);
 
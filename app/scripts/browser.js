@@ -0,0 +1,194 @@
+'use strict';
+/* exported Browser */
+/**
+ * Admin Helper browser API shim
+ *
+ * @module AdminHelper
+ */
+
+/**
+ * Callback based access to the WebExtension APIs used by Admin Helper
+ *
+ * Firefox provides promise based APIs as `browser`, and Chrome provides callback based APIs as `chrome`. Outside of
+ * an extension, as in the userscript, storage areas are unavailable and messages are not sent.
+ *
+ * @class Browser
+ * @static
+ */
+var Browser = {
+    /**
+     * Extension API namespace for the current browser
+     *
+     * @method api
+     * @return {Object|null} `browser` or `chrome`, or null outside of an extension
+     */
+    api: function() {
+        if (typeof browser !== 'undefined' && browser.runtime && browser.runtime.id) {
+            return browser;
+        }
+
+        if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.id) {
+            return chrome;
+        }
+
+        return null;
+    },
+
+    /**
+     * Extension storage area
+     *
+     * @method storage
+     * @param {String} name Storage area name, `sync` or `local`
+     * @return {Object|null} Storage area with callback based `get` and `set` methods, or null when unavailable.
+     *   Callbacks receive the result, and an error if the call failed.
+     * @example
+     *     var storage = Browser.storage('sync');
+     *
+     *     if (storage) {
+     *         storage.get('key', function(items) {
+     *             console.log(items.key);
+     *         });
+     *     }
+     */
+    storage: function(name) {
+        var self = this;
+        var api = this.api();
+        var area = api && api.storage && api.storage[name];
+
+        if ( ! area) {
+            return null;
+        }
+
+        var method = function(methodName) {
+            return function(value, callback) {
+                var done = typeof callback === 'function' ? callback : function() {};
+
+                self._call(area, methodName, [value], function(result, error) {
+                    if (error) {
+                        console.error('Browser: storage.' + name + '.' + methodName + ' failed', error);
+                    }
+
+                    done(result, error);
+                });
+            };
+        };
+
+        return {
+            get: method('get'),
+            set: method('set')
+        };
+    },
+
+    /**
+     * Listen for changes to an extension storage area
+     *
+     * @method onStorageChange
+     * @param {String} name Storage area name, `sync` or `local`
+     * @param {callback} listener Receives changes, as `key`: {`oldValue`, `newValue`} objects
+     * @return {Function} Removes the listener when called
+     */
+    onStorageChange: function(name, listener) {
+        var api = this.api();
+        var handler = function(changes, areaName) {
+            if (areaName === name) {
+                listener(changes);
+            }
+        };
+
+        if ( ! api || ! api.storage || ! api.storage.onChanged) {
+            return function() {};
+        }
+
+        api.storage.onChanged.addListener(handler);
+
+        return function() {
+            api.storage.onChanged.removeListener(handler);
+        };
+    },
+
+    /**
+     * Listen for messages sent to the current page
+     *
+     * @method onMessage
+     * @param {callback} listener Receives each message
+     * @return {Boolean} False outside of an extension
+     */
+    onMessage: function(listener) {
+        var api = this.api();
+
+        if ( ! api || ! api.runtime.onMessage) {
+            return false;
+        }
+
+        api.runtime.onMessage.addListener(function(message) {
+            listener(message);
+        });
+
+        return true;
+    },
+
+    /**
+     * Send a message to every open tab matching the extension's content scripts
+     *
+     * Only available to extension pages. Tabs without a listening content script are skipped.
+     *
+     * @method broadcast
+     * @param {Object} message
+     * @param {callback} [callback] Receives the number of matching tabs
+     */
+    broadcast: function(message, callback) {
+        /* jshint camelcase: false */
+        var self = this;
+        var api = this.api();
+        var done = typeof callback === 'function' ? callback : function() {};
+        var urls = [];
+
+        if ( ! api || ! api.tabs) {
+            done(0);
+            return;
+        }
+
+        (api.runtime.getManifest().content_scripts || []).forEach(function(script) {
+            urls = urls.concat(script.matches);
+        });
+
+        this._call(api.tabs, 'query', [{url: urls}], function(tabs) {
+            tabs = tabs || [];
+
+            tabs.forEach(function(tab) {
+                self._call(api.tabs, 'sendMessage', [tab.id, message], function() {});
+            });
+
+            done(tabs.length);
+        });
+    },
+
+    /**
+     * Call an extension API method with a callback, whether it returns a promise or accepts a callback
+     *
+     * @method _call
+     * @param {Object} target API object
+     * @param {String} method Method name
+     * @param {Array} args Method arguments, without a callback
+     * @param {callback} callback Receives the result, and an error if the call failed
+     * @private
+     */
+    _call: function(target, method, args, callback) {
+        var api = this.api();
+
+        if (typeof browser !== 'undefined' && api === browser) {
+            target[method].apply(target, args).then(function(result) {
+                callback(result);
+            }, function(error) {
+                callback(undefined, error);
+            });
+            return;
+        }
+
+        target[method].apply(target, args.concat(function(result) {
+            var error = api.runtime.lastError;
+
+            callback(error ? undefined : result, error);
+        }));
+    }
+};
@@ -1,4 +1,5 @@
 'use strict';
+/* global Browser, Locales, Messages, Settings, Store */
 /**
  * Admin Helper
  *
@@ -6,7 +7,9 @@
  */
 
 /**
- * A wrapper for XPathResult, providing forEach and map methods
+ * A wrapper for XPathResult, providing collection methods
+ *
+ * Results are snapshots, so iterating warns once when nodes have been removed from the document since the query.
  *
  * @class QueryResult
  * @constructor
@@ -16,13 +19,31 @@ var QueryResult = function(result) {
     this.result = result;
 
     this.length = result.snapshotLength;
+
+    this._attached = [];
+    for (var i = 0; i < this.length; i++) {
+        this._attached.push(QueryResult._isAttached(result.snapshotItem(i)));
+    }
+};
+
+/**
+ * Whether an item is a node attached to its document
+ *
+ * @method _isAttached
+ * @param {*} item
+ * @return {Boolean}
+ * @static
+ * @private
+ */
+QueryResult._isAttached = function(item) {
+    return !! (item && item.nodeType && item.ownerDocument && item.ownerDocument.contains(item));
 };
 
 /**
  * Iterate over results, running callback on each item
  *
  * @method forEach
- * @param {callback} callback Method to run against each result item
+ * @param {callback} callback Method to run against each result item. Receives the item and its index.
  * @chainable
  * @example
  *     result.forEach(function(item) {
@@ -30,18 +51,49 @@ var QueryResult = function(result) {
  *     });
  */
 QueryResult.prototype.forEach = function(callback) {
+    this._checkStale();
+
     for (var i = 0, l = this.result.snapshotLength; i < l; i++) {
-        callback(this.result.snapshotItem(i));
+        callback(this.result.snapshotItem(i), i);
     }
 
     return this;
 };
 
+/**
+ * Whether any nodes have been removed from the document since the query
+ *
+ * @method isStale
+ * @return {Boolean}
+ */
+QueryResult.prototype.isStale = function() {
+    for (var i = 0; i < this.length; i++) {
+        if (this._attached[i] && ! QueryResult._isAttached(this.result.snapshotItem(i))) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Warn once if the result is stale
+ *
+ * @method _checkStale
+ * @private
+ */
+QueryResult.prototype._checkStale = function() {
+    if ( ! this._warned && this.isStale()) {
+        this._warned = true;
+        console.warn('QueryResult: nodes have been removed from the document since the query');
+    }
+};
+
 /**
  * Iterate over results, returning an array of callback results for items
  *
  * @method map
- * @param {callback} callback Method to run agains each result item
+ * @param {callback} callback Method to run agains each result item. Receives the item and its index.
  * @return {Array} Mapped result array
  * @example
  *     var allHrefs = result.map(function(item) {
@@ -51,8 +103,8 @@ QueryResult.prototype.forEach = function(callback) {
 QueryResult.prototype.map = function(callback) {
     var result = [];
 
-    this.forEach(function(item) {
-        result.push(callback(item));
+    this.forEach(function(item, index) {
+        result.push(callback(item, index));
     });
 
     return result;
@@ -70,13 +122,187 @@ QueryResult.prototype.all = function() {
     });
 };
 
+/**
+ * Filter results
+ *
+ * @method filter
+ * @param {callback} callback Receives each item, returning true to keep it
+ * @return {QueryResult} New result with matching items
+ * @example
+ *     var billable = rows.filter(function(row) {
+ *         return Xpath.text('td[contains(@class, "client")]', row) !== 'SIERRA';
+ *     });
+ */
+QueryResult.prototype.filter = function(callback) {
+    var items = [];
+
+    this.forEach(function(item, index) {
+        if (callback(item, index)) {
+            items.push(item);
+        }
+    });
+
+    return QueryResult.fromArray(items);
+};
+
+/**
+ * Reduce results to a single value
+ *
+ * @method reduce
+ * @param {callback} callback Receives the accumulated value and each item, returning the new value
+ * @param {*} initial Initial value
+ * @return {*} Reduced value
+ */
+QueryResult.prototype.reduce = function(callback, initial) {
+    var value = initial;
+
+    this.forEach(function(item, index) {
+        value = callback(value, item, index);
+    });
+
+    return value;
+};
+
+/**
+ * Whether the callback returns true for any result
+ *
+ * @method some
+ * @param {callback} callback Receives each item
+ * @return {Boolean}
+ */
+QueryResult.prototype.some = function(callback) {
+    return this.all().some(callback);
+};
+
+/**
+ * Whether the callback returns true for every result
+ *
+ * @method every
+ * @param {callback} callback Receives each item
+ * @return {Boolean} True for empty results
+ */
+QueryResult.prototype.every = function(callback) {
+    return this.all().every(callback);
+};
+
+/**
+ * First result item
+ *
+ * @method first
+ * @return {*} First item, or null for empty results
+ */
+QueryResult.prototype.first = function() {
+    this._checkStale();
+
+    return this.length ? this.result.snapshotItem(0) : null;
+};
+
+/**
+ * Last result item
+ *
+ * @method last
+ * @return {*} Last item, or null for empty results
+ */
+QueryResult.prototype.last = function() {
+    this._checkStale();
+
+    return this.length ? this.result.snapshotItem(this.length - 1) : null;
+};
+
+/**
+ * Group results by a key
+ *
+ * @method groupBy
+ * @param {callback} callback Receives each item, returning its group key
+ * @return {Object} Results as a `key`: `QueryResult` object, in order of first appearance
+ * @example
+ *     var byClient = rows.groupBy(function(row) {
+ *         return Xpath.text('td[contains(@class, "client")]', row);
+ *     });
+ */
+QueryResult.prototype.groupBy = function(callback) {
+    var groups = {};
+
+    this.forEach(function(item, index) {
+        var key = callback(item, index);
+
+        if ( ! groups.hasOwnProperty(key)) {
+            groups[key] = [];
+        }
+
+        groups[key].push(item);
+    });
+
+    Object.keys(groups).forEach(function(key) {
+        groups[key] = QueryResult.fromArray(groups[key]);
+    });
+
+    return groups;
+};
+
+/**
+ * Sum a numeric value for each result
+ *
+ * Non-numeric values are ignored
+ *
+ * @method sumBy
+ * @param {callback} callback Receives each item, returning its value
+ * @return {Number} Total
+ * @example
+ *     var hours = rows.sumBy(function(row) {
+ *         return Xpath.number('number(td[contains(@class, "hours")])', row);
+ *     });
+ */
+QueryResult.prototype.sumBy = function(callback) {
+    return this.reduce(function(total, item, index) {
+        var value = parseFloat(callback(item, index));
+
+        return isNaN(value) ? total : total + value;
+    }, 0);
+};
+
+/**
+ * Wrap an array or node list in a query result
+ *
+ * @method fromArray
+ * @param {Array|NodeList} items Result items
+ * @return {QueryResult}
+ * @static
+ * @example
+ *     QueryResult.fromArray(document.querySelectorAll('td.hours')).map(function(cell) {
+ *         return cell.textContent;
+ *     });
+ */
+QueryResult.fromArray = function(items) {
+    return new QueryResult({
+        snapshotLength: items.length,
+        snapshotItem: function(i) {
+            return items[i];
+        }
+    });
+};
+
 /**
  * Simplified Xpath query interface
  *
+ * Invalid queries throw an `Error` naming the failing query, with the query as its `query` property.
+ *
  * @class Xpath
  * @static
  */
 var Xpath = {
+    /**
+     * Namespace URIs for prefixed queries, by prefix
+     *
+     * @property NAMESPACES
+     * @type Object
+     * @static
+     */
+    NAMESPACES: {
+        xhtml: 'http://www.w3.org/1999/xhtml',
+        svg: 'http://www.w3.org/2000/svg'
+    },
+
     /**
      * Find multiple dom nodes for an xpath query
      *
@@ -107,6 +333,149 @@ var Xpath = {
         return this._evaluate(path, source, false);
     },
 
+    /**
+     * Find multiple dom nodes for a CSS selector
+     *
+     * @method css
+     * @param {String} selector CSS selector
+     * @param {null|HTMLElement} source=document.body Root element for the query
+     * @return {QueryResult} Iterable query results
+     * @example
+     *     Xpath.css('td.hours', row).map(function(cell) {
+     *         return cell.textContent;
+     *     });
+     */
+    css: function(selector, source) {
+        source = (source === null || source === undefined) ? document.body : source;
+
+        try {
+            return QueryResult.fromArray(source.querySelectorAll(selector));
+        } catch (e) {
+            throw this._error('Invalid CSS selector', selector, e);
+        }
+    },
+
+    /**
+     * Lazily iterate over dom nodes for an xpath query
+     *
+     * Nodes are fetched as `next` is called. Modifying the document while iterating invalidates the iterator.
+     *
+     * @method iterate
+     * @param {String} path XPath query
+     * @param {null|HTMLElement} source=document.body Root element for xpath query
+     * @return {Object} Iterator, with a `next` method returning the next node, or null when done
+     * @example
+     *     var rows = Xpath.iterate('//tr'), row;
+     *     while ((row = rows.next())) {
+     *         ...
+     *     }
+     */
+    iterate: function(path, source) {
+        var result = this._query(path, source, XPathResult.ORDERED_NODE_ITERATOR_TYPE);
+
+        return {
+            next: function() {
+                return result.iterateNext();
+            }
+        };
+    },
+
+    /**
+     * Evaluate an xpath expression as a number
+     *
+     * @method number
+     * @param {String} path XPath expression
+     * @param {null|HTMLElement} source=document.body Context node for the expression
+     * @return {Number} Expression value, NaN for non-numeric values
+     * @example
+     *     var hours = Xpath.number('sum(//td[contains(@class, "hours")])');
+     */
+    number: function(path, source) {
+        return this._query(path, source, XPathResult.NUMBER_TYPE).numberValue;
+    },
+
+    /**
+     * Evaluate an xpath expression as a string
+     *
+     * Node sets evaluate to the text of their first node
+     *
+     * @method string
+     * @param {String} path XPath expression
+     * @param {null|HTMLElement} source=document.body Context node for the expression
+     * @return {String} Expression value
+     */
+    string: function(path, source) {
+        return this._query(path, source, XPathResult.STRING_TYPE).stringValue;
+    },
+
+    /**
+     * Evaluate an xpath expression as a boolean
+     *
+     * Node sets evaluate to true when they are not empty
+     *
+     * @method boolean
+     * @param {String} path XPath expression
+     * @param {null|HTMLElement} source=document.body Context node for the expression
+     * @return {Boolean} Expression value
+     */
+    boolean: function(path, source) {
+        return this._query(path, source, XPathResult.BOOLEAN_TYPE).booleanValue;
+    },
+
+    /**
+     * Trimmed, whitespace-normalized text of the first node matching an xpath query
+     *
+     * @method text
+     * @param {String} path XPath query
+     * @param {null|HTMLElement} source=document.body Root element for xpath query
+     * @return {String} Node text, or an empty string when nothing matches
+     * @example
+     *     var notes = Xpath.text('td[contains(@class, "notes")]', row);
+     */
+    text: function(path, source) {
+        return this.string('normalize-space(' + path + ')', source);
+    },
+
+    /**
+     * Count nodes matching an xpath query
+     *
+     * @method count
+     * @param {String} path XPath query
+     * @param {null|HTMLElement} source=document.body Root element for xpath query
+     * @return {Number} Number of matching nodes
+     * @example
+     *     var entries = Xpath.count('//tr[td[contains(@class, "hours")]]');
+     */
+    count: function(path, source) {
+        return this.number('count(' + path + ')', source);
+    },
+
+    /**
+     * Quote a string for use as an xpath string literal
+     *
+     * Xpath 1.0 has no escape sequences, so strings containing both quote
+     * types are split and rejoined with `concat()`
+     *
+     * @method literal
+     * @param {String} value Raw string
+     * @return {String} Xpath string expression
+     * @example
+     *     var query = '//span[text()=' + Xpath.literal(name) + ']';
+     */
+    literal: function(value) {
+        value = String(value);
+
+        if (value.indexOf('"') === -1) {
+            return '"' + value + '"';
+        }
+
+        if (value.indexOf('\'') === -1) {
+            return '\'' + value + '\'';
+        }
+
+        return 'concat("' + value.replace(/"/g, '", \'"\', "') + '")';
+    },
+
     /**
      * Run an xpath query
      *
@@ -118,34 +487,191 @@ var Xpath = {
      * @private
      */
     _evaluate: function(path, source, multi) {
-        source = (source === null || source === undefined) ? document.body : source;
-
         var queryType = multi ? XPathResult.ORDERED_NODE_SNAPSHOT_TYPE : XPathResult.FIRST_ORDERED_NODE_TYPE;
 
-        var result = document.evaluate(path, source, null, queryType);
+        var result = this._query(path, source, queryType);
 
         if (multi) {
             return new QueryResult(result);
         } else {
             return result.singleNodeValue;
         }
+    },
+
+    /**
+     * Run an xpath query for a result type
+     *
+     * @method _query
+     * @param {String} path
+     * @param {null|HTMLElement} source=document.body Root element for xpath query
+     * @param {Number} type `XPathResult` type constant
+     * @return {XPathResult}
+     * @private
+     */
+    _query: function(path, source, type) {
+        source = (source === null || source === undefined) ? document.body : source;
+
+        try {
+            return document.evaluate(path, source, this._resolveNamespace.bind(this), type, null);
+        } catch (e) {
+            throw this._error('Invalid xpath query', path, e);
+        }
+    },
+
+    /**
+     * Namespace resolver for prefixed queries
+     *
+     * @method _resolveNamespace
+     * @param {String} prefix
+     * @return {String|null} Namespace URI from `NAMESPACES`
+     * @private
+     */
+    _resolveNamespace: function(prefix) {
+        return this.NAMESPACES.hasOwnProperty(prefix) ? this.NAMESPACES[prefix] : null;
+    },
+
+    /**
+     * Create an error naming a failing query
+     *
+     * @method _error
+     * @param {String} message
+     * @param {String} query Failing query
+     * @param {Error} cause Original error
+     * @return {Error}
+     * @private
+     */
+    _error: function(message, query, cause) {
+        var error = new Error(message + ' "' + query + '": ' + cause.message);
+        error.query = query;
+
+        return error;
     }
 };
 
 
 /**
- * Tiny templating class
+ * Logic-light templating class
+ *
+ * Originally based on: http://mir.aculo.us/2011/03/09/little-helpers-a-tweet-sized-javascript-templating-engine/
+ *
+ * Tags are wrapped in single braces:
+ *
+ * - `{name}`, `{entry.client}`: Variables, by key or dotted path. Tags which don't match a variable are left as-is.
+ * - `{hours|fixed:2}`, `{notes|truncate:40|raw}`: Variables with filters from `FILTERS`, applied in order
+ * - `{#each items}...{:else}...{/each}`: Iteration over arrays or object values, with the `else` block rendered when
+ *   there is nothing to iterate. Inside, `{.}` is the current value, and `{@index}` and `{@key}` its position.
+ * - `{#if value}...{:else}...{/if}`: Conditionals. Empty arrays are false.
+ * - `{>name}`: Partials, registered with `partial`
  *
- * Original source: http://mir.aculo.us/2011/03/09/little-helpers-a-tweet-sized-javascript-templating-engine/
+ * Values are HTML escaped, unless rendering raw or using the `raw` filter.
  *
  * @class Template
  * @static
  */
 var Template = {
+    /**
+     * Template tag pattern
+     *
+     * @property TAG
+     * @type RegExp
+     * @static
+     * @final
+     */
+    TAG: /\{(#each |#if |\/each|\/if|:else|>)?([^{}\s][^{}]*)?\}/g,
+
+    /**
+     * Maximum number of compiled templates kept by `render`. The oldest are discarded first.
+     *
+     * @property CACHE_SIZE
+     * @type Number
+     * @static
+     * @final
+     * @default 100
+     */
+    CACHE_SIZE: 100,
+
+    /**
+     * Maximum partial nesting depth, guarding against partials which include themselves
+     *
+     * @property MAX_DEPTH
+     * @type Number
+     * @static
+     * @final
+     * @default 20
+     */
+    MAX_DEPTH: 20,
+
+    /**
+     * Variable filters, as `name`: `function(value, [args...])` pairs
+     *
+     * The `raw` filter disables escaping for a variable
+     *
+     * @property FILTERS
+     * @type Object
+     * @static
+     */
+    FILTERS: {
+        fixed: function(value, decimals) {
+            return Number(value).toFixed(decimals === undefined ? 2 : parseInt(decimals, 10));
+        },
+        truncate: function(value, length, ellipsis) {
+            value = String(value);
+            length = parseInt(length, 10);
+            ellipsis = ellipsis === undefined ? '\u2026' : ellipsis;
+
+            return value.length > length ? value.substr(0, Math.max(length - ellipsis.length, 0)) + ellipsis : value;
+        },
+        upper: function(value) {
+            return String(value).toUpperCase();
+        },
+        lower: function(value) {
+            return String(value).toLowerCase();
+        },
+        raw: function(value) {
+            return value;
+        }
+    },
+
+    /**
+     * Registered partials, as `name`: `compiled template` pairs
+     *
+     * @property _partials
+     * @type Object
+     * @private
+     */
+    _partials: {},
+
+    /**
+     * Compiled templates, by template string
+     *
+     * @property _compiled
+     * @type Object
+     * @private
+     */
+    _compiled: {},
+
+    /**
+     * Cached template strings, oldest first
+     *
+     * @property _cached
+     * @type String[]
+     * @private
+     */
+    _cached: [],
+
+    /**
+     * Current partial nesting depth
+     *
+     * @property _depth
+     * @type Number
+     * @private
+     */
+    _depth: 0,
+
     /**
      * Render template string with provided arguments
      *
-     * Variables are wrapped in single braces
+     * Templates are compiled once, and reused for later renders. Up to `CACHE_SIZE` compiled templates are kept.
      *
      * @method render
      * @param {String} template Template
@@ -162,16 +688,59 @@ var Template = {
      *     );
      *     console.log(html);
      *     //> <b>Rudy</b> - Sysop
+     *
+     *     Template.render('{#each entries}<li>{client}: {hours|fixed:2}</li>{:else}<li>None</li>{/each}', {
+     *         entries: [{client: 'ACME', hours: 1.5}]
+     *     });
+     *     //> <li>ACME: 1.50</li>
      */
     render: function (template, data, raw) {
-        for(var key in data) {
-            if(data.hasOwnProperty(key)) {
-                var value = raw ? data[key] : this._escape(data[key]);
-
-                template=template.replace(new RegExp('{'+key+'}','g'), value);
+        if ( ! this._compiled.hasOwnProperty(template)) {
+            if (this._cached.length >= this.CACHE_SIZE) {
+                delete this._compiled[this._cached.shift()];
             }
+
+            this._compiled[template] = this.compile(template);
+            this._cached.push(template);
         }
-        return template;
+
+        return this._compiled[template](data, raw);
+    },
+
+    /**
+     * Compile a template for repeated rendering
+     *
+     * @method compile
+     * @param {String} template Template
+     * @return {Function} Receives template variables and the `raw` flag, and returns the rendered string
+     * @example
+     *     var item = Template.compile('<li>{category}: {hours|fixed:2}</li>');
+     *     item({category: 'Hiring', hours: 1.5});
+     *     //> <li>Hiring: 1.50</li>
+     */
+    compile: function(template) {
+        var self = this;
+        var nodes = this._parse(String(template));
+
+        return function(data, raw) {
+            return self._renderNodes(nodes, [{value: data, locals: {}}], raw);
+        };
+    },
+
+    /**
+     * Register a partial, rendered by `{>name}` tags with the current variables
+     *
+     * Partials may include other partials, up to `MAX_DEPTH` levels deep
+     *
+     * @method partial
+     * @param {String} name Partial name
+     * @param {String} template Template
+     * @chainable
+     */
+    partial: function(name, template) {
+        this._partials[name] = this._parse(String(template));
+
+        return this;
     },
 
     /**
@@ -203,6 +772,303 @@ var Template = {
         return output;
     },
 
+    /**
+     * Parse a template into a tree of text, variable, block and partial nodes
+     *
+     * @method _parse
+     * @param {String} template
+     * @return {Object[]} Nodes
+     * @private
+     */
+    _parse: function(template) {
+        var root = {children: []};
+        var stack = [root];
+        var current = root;
+        var index = 0;
+        var match;
+        var pattern = new RegExp(this.TAG.source, 'g');
+
+        var text = function(value) {
+            if (value) {
+                current.children.push({type: 'text', value: value});
+            }
+        };
+
+        while ((match = pattern.exec(template)) !== null) {
+            var tag = match[1];
+            var body = (match[2] || '').trim();
+
+            text(template.substring(index, match.index));
+            index = pattern.lastIndex;
+
+            if (tag === '#each ' || tag === '#if ') {
+                var block = {type: tag.substr(1).trim(), expression: this._expression(body), source: match[0], children: [], inverse: null};
+                current.children.push(block);
+                stack.push(block);
+                current = block;
+            } else if (tag === ':else' && stack.length > 1 && ! current.inverse) {
+                current.inverse = current.children;
+                current.children = [];
+            } else if ((tag === '/each' || tag === '/if') && current.type === tag.substr(1)) {
+                if (current.inverse) {
+                    var children = current.inverse;
+                    current.inverse = current.children;
+                    current.children = children;
+                }
+
+                stack.pop();
+                current = stack[stack.length - 1];
+            } else if (tag === '/each' || tag === '/if' || tag === ':else') {
+                throw new Error('Template: unexpected ' + match[0] + (stack.length > 1 ? ' in ' + current.source : ''));
+            } else if (tag === '>') {
+                current.children.push({type: 'partial', name: body});
+            } else {
+                current.children.push({type: 'variable', expression: this._expression(body), source: match[0]});
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error('Template: unclosed ' + current.source);
+        }
+
+        text(template.substring(index));
+
+        return root.children;
+    },
+
+    /**
+     * Parse a tag expression into a path and filters
+     *
+     * @method _expression
+     * @param {String} body Tag content, such as `hours|fixed:2`
+     * @return {Object} Expression, with `path` and `filters`, as `name` and `args`
+     * @private
+     */
+    _expression: function(body) {
+        var parts = body.split('|');
+
+        return {
+            path: parts.shift().trim(),
+            filters: parts.map(function(filter) {
+                var args = filter.split(':');
+
+                return {
+                    name: args.shift().trim(),
+                    args: args.length ? args.join(':').split(',') : []
+                };
+            })
+        };
+    },
+
+    /**
+     * Render parsed nodes
+     *
+     * @method _renderNodes
+     * @param {Object[]} nodes Parsed nodes
+     * @param {Object[]} scopes Variable scopes, innermost last, with `value` and `locals`
+     * @param {Boolean} raw If true, input will not be HTML escaped
+     * @return {String}
+     * @private
+     */
+    _renderNodes: function(nodes, scopes, raw) {
+        var self = this;
+
+        return nodes.map(function(node) {
+            switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'variable':
+                return self._renderVariable(node, scopes, raw);
+            case 'if':
+                return self._renderNodes(self._truthy(self._evaluate(node.expression, scopes)) ? node.children : node.inverse || [], scopes, raw);
+            case 'each':
+                return self._renderEach(node, scopes, raw);
+            case 'partial':
+                return self._renderPartial(node, scopes, raw);
+            }
+
+            return '';
+        }).join('');
+    },
+
+    /**
+     * Render a partial node
+     *
+     * @method _renderPartial
+     * @param {Object} node Partial node
+     * @param {Object[]} scopes Variable scopes
+     * @param {Boolean} raw If true, input will not be HTML escaped
+     * @return {String}
+     * @private
+     */
+    _renderPartial: function(node, scopes, raw) {
+        if ( ! this._partials.hasOwnProperty(node.name)) {
+            throw new Error('Template: unknown partial "' + node.name + '"');
+        }
+
+        if (this._depth >= this.MAX_DEPTH) {
+            throw new Error('Template: partial "' + node.name + '" nested more than ' + this.MAX_DEPTH + ' levels deep, it may include itself');
+        }
+
+        this._depth++;
+
+        try {
+            return this._renderNodes(this._partials[node.name], scopes, raw);
+        } finally {
+            this._depth--;
+        }
+    },
+
+    /**
+     * Render a variable node
+     *
+     * Variables which aren't found are rendered as the original tag
+     *
+     * @method _renderVariable
+     * @param {Object} node Variable node
+     * @param {Object[]} scopes Variable scopes
+     * @param {Boolean} raw If true, input will not be HTML escaped
+     * @return {String}
+     * @private
+     */
+    _renderVariable: function(node, scopes, raw) {
+        if ( ! this._lookup(node.expression.path, scopes).found) {
+            return node.source;
+        }
+
+        var value = this._evaluate(node.expression, scopes);
+        var unescaped = raw || node.expression.filters.some(function(filter) {
+            return filter.name === 'raw';
+        });
+
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return unescaped ? String(value) : this._escape(value);
+    },
+
+    /**
+     * Render an each block for each array item or object value
+     *
+     * @method _renderEach
+     * @param {Object} node Each block node
+     * @param {Object[]} scopes Variable scopes
+     * @param {Boolean} raw If true, input will not be HTML escaped
+     * @return {String}
+     * @private
+     */
+    _renderEach: function(node, scopes, raw) {
+        var self = this;
+        var items = this._evaluate(node.expression, scopes);
+        var keys = [];
+
+        if (Array.isArray(items)) {
+            keys = items.map(function(item, index) {
+                return index;
+            });
+        } else if (items && typeof items === 'object') {
+            keys = Object.keys(items);
+        }
+
+        if ( ! keys.length) {
+            return this._renderNodes(node.inverse || [], scopes, raw);
+        }
+
+        return keys.map(function(key, index) {
+            return self._renderNodes(node.children, scopes.concat([{
+                value: items[key],
+                locals: {'@index': index, '@key': key}
+            }]), raw);
+        }).join('');
+    },
+
+    /**
+     * Find a variable value and apply expression filters
+     *
+     * @method _evaluate
+     * @param {Object} expression Parsed expression
+     * @param {Object[]} scopes Variable scopes
+     * @return {*} Filtered value
+     * @private
+     */
+    _evaluate: function(expression, scopes) {
+        var self = this;
+
+        return expression.filters.reduce(function(value, filter) {
+            if ( ! self.FILTERS.hasOwnProperty(filter.name)) {
+                throw new Error('Template: unknown filter "' + filter.name + '"');
+            }
+
+            return self.FILTERS[filter.name].apply(self.FILTERS, [value].concat(filter.args));
+        }, this._lookup(expression.path, scopes).value);
+    },
+
+    /**
+     * Find a variable by key or dotted path, from the innermost scope outwards
+     *
+     * Keys matching the whole path take precedence over dotted paths
+     *
+     * @method _lookup
+     * @param {String} path Variable path
+     * @param {Object[]} scopes Variable scopes
+     * @return {Object} Result, with `found` and `value`
+     * @private
+     */
+    _lookup: function(path, scopes) {
+        var segments = path.split('.');
+        var property = function(value, segment) {
+            return value === null || value === undefined ? undefined : value[segment];
+        };
+
+        for (var i = scopes.length - 1; i >= 0; i--) {
+            var scope = scopes[i];
+
+            if (path === '.') {
+                return {found: true, value: scope.value};
+            }
+
+            if (scope.locals.hasOwnProperty(path)) {
+                return {found: true, value: scope.locals[path]};
+            }
+
+            if (this._has(scope.value, path)) {
+                return {found: true, value: scope.value[path]};
+            }
+
+            if (segments.length > 1 && this._has(scope.value, segments[0])) {
+                return {found: true, value: segments.slice(1).reduce(property, scope.value[segments[0]])};
+            }
+        }
+
+        return {found: false};
+    },
+
+    /**
+     * Whether a value has an own property
+     *
+     * @method _has
+     * @param {*} value
+     * @param {String} key
+     * @return {Boolean}
+     * @private
+     */
+    _has: function(value, key) {
+        return value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key);
+    },
+
+    /**
+     * Whether a value is true for conditionals
+     *
+     * @method _truthy
+     * @param {*} value
+     * @return {Boolean}
+     * @private
+     */
+    _truthy: function(value) {
+        return Array.isArray(value) ? value.length > 0 : !!value;
+    },
+
     /**
      * Escape an html string
      *
@@ -222,240 +1088,4738 @@ var Template = {
 };
 
 /**
- * Admin row highlighter class
+ * Localized messages and number formatting
  *
- * @class Highlight
+ * Messages are read from `Messages` for the current locale, which is the `locale` setting or the browser's language
+ * when supported, and English otherwise, as resolved by `Locales`.
+ *
+ * @class I18n
  * @static
  */
-var Highlight = {
+var I18n = {
     /**
-     * Classname to add to highlighted DOM nodes
+     * Number formatters, by locale and options
      *
-     * @property HIGHLIGHT_CLASS
-     * @type String
-     * @static
-     * @final
-     * @default 'admin_helper_highlight'
+     * @property _formatters
+     * @type Object
+     * @private
      */
-    HIGHLIGHT_CLASS: 'admin_helper_highlight',
+    _formatters: {},
 
     /**
-     * Apply highlight class to DOM nodes
+     * Plural rules, by locale
      *
-     * @method run
-     * @param {QueryResult} rows Elements to highlight
+     * @property _plurals
+     * @type Object
+     * @private
+     */
+    _plurals: {},
+
+    /**
+     * Choose the locale for messages and numbers
+     *
+     * @method use
+     * @param {String} [locale] Preferred locale, such as `fr` or `fr-CA`. Defaults to the browser's languages.
      * @chainable
      */
-    run: function(rows) {
-        var self = this;
-        rows.forEach(function(row) {
-            row.classList.add(self.HIGHLIGHT_CLASS);
-        });
+    use: function(locale) {
+        this._locale = Locales.resolve([locale].concat(Locales.languages()));
 
         return this;
+    },
+
+    /**
+     * Current locale
+     *
+     * @method locale
+     * @return {String} Locale with messages in `Messages`
+     */
+    locale: function() {
+        if ( ! this._locale) {
+            this.use();
+        }
+
+        return this._locale;
+    },
+
+    /**
+     * Find a message for the current locale and fill its placeholders
+     *
+     * Values are inserted as-is, so messages are escaped like any other text when rendered
+     *
+     * @method message
+     * @param {String} name Message name
+     * @param {Object} [data] Placeholder values
+     * @param {String} [fallback] Text for missing messages. Defaults to the message name.
+     * @return {String}
+     * @example
+     *     I18n.message('problemGap', {end: '04:30PM'});
+     *     //> 'Gap since the previous entry ended at 04:30PM'
+     */
+    message: function(name, data, fallback) {
+        var messages = Messages[this.locale()];
+        var text = messages && messages.hasOwnProperty(name) ? messages[name] : Messages[Locales.DEFAULT_LOCALE][name];
+
+        if (text === undefined) {
+            return fallback === undefined ? name : fallback;
+        }
+
+        return data ? Template.render(text, data, true) : text;
+    },
+
+    /**
+     * Format a number for the current locale
+     *
+     * @method number
+     * @param {Number} value
+     * @param {Object} [options] `Intl.NumberFormat` options
+     * @return {String}
+     * @example
+     *     I18n.use('fr').number(1.5, {minimumFractionDigits: 2});
+     *     //> '1,50'
+     */
+    number: function(value, options) {
+        var locale = this.locale();
+        var key = locale + JSON.stringify(options || {});
+
+        if ( ! this._formatters.hasOwnProperty(key)) {
+            this._formatters[key] = new Intl.NumberFormat(locale, options);
+        }
+
+        return this._formatters[key].format(value);
+    },
+
+    /**
+     * Plural category of a number for the current locale
+     *
+     * @method plural
+     * @param {Number} value
+     * @return {String} `Intl.PluralRules` category, such as `one` or `other`
+     * @example
+     *     I18n.use('fr').plural(1.5);
+     *     //> 'one'
+     */
+    plural: function(value) {
+        var locale = this.locale();
+
+        if ( ! this._plurals.hasOwnProperty(locale)) {
+            this._plurals[locale] = new Intl.PluralRules(locale);
+        }
+
+        return this._plurals[locale].select(value);
     }
 };
 
 /**
- * Admin time summarizer class
+ * Color themes for helper output and highlighted rows
  *
- * @class Summarize
+ * The theme is applied as a class on the document element, which selects the colors used by `main.css`. Highlight
+ * colors chosen in settings are adjusted to suit the theme.
+ *
+ * @class Theme
  * @static
  */
-var Summarize = {
+var Theme = {
     /**
-     * Xpath selector for hour table cells relative to admin entry rows
+     * Theme used when no other theme applies
      *
-     * @property HOUR_CELL
+     * @property DEFAULT_THEME
      * @type String
      * @static
      * @final
-     * @default 'td[contains(@class, "hours")]'
+     * @default 'light'
      */
-    HOUR_CELL: 'td[contains(@class, "hours")]',
+    DEFAULT_THEME: 'light',
 
     /**
-     * Xpath selector for comment table cells relative to admin entry rows
+     * Classname prefix for the document element. The theme name is appended.
      *
-     * @property NOTE_CELL
+     * @property CLASS_PREFIX
      * @type String
      * @static
      * @final
-     * @default 'td[@class="notes"]'
+     * @default 'admin_helper_theme_'
      */
-    NOTE_CELL: 'td[contains(@class, "notes")]',
+    CLASS_PREFIX: 'admin_helper_theme_',
 
     /**
-     * Dom node ID to insert output before
+     * Media queries choosing a theme when following the operating system, checked in order
      *
-     * @property TARGET_OUTPUT
-     * @type String
+     * @property QUERIES
+     * @type Object[]
      * @static
      * @final
-     * @default 'TSEntryInline'
      */
-    TARGET_OUTPUT: 'TSEntryInline',
+    QUERIES: [
+        {theme: 'contrast', query: '(prefers-contrast: more), (forced-colors: active)'},
+        {theme: 'dark', query: '(prefers-color-scheme: dark)'}
+    ],
 
     /**
-     * Summary output ID
+     * Highlight color adjustments, by theme and color role
      *
-     * @property OUTPUT_ID
-     * @type String
+     * Colors are mixed with `mix`, keeping `weight` of the original color. Roles are `background` for row fills and
+     * `text` for text and outline colors.
+     *
+     * @property SHADES
+     * @type Object
      * @static
      * @final
-     * @default 'admin_helper'
      */
-    OUTPUT_ID: 'admin_helper',
+    SHADES: {
+        light: {},
+        dark: {
+            background: {mix: '#1e1e1e', weight: 0.35},
+            text: {mix: '#ffffff', weight: 0.6}
+        },
+        contrast: {
+            background: {mix: '#ffffff', weight: 0.4},
+            text: {mix: '#000000', weight: 0.5}
+        }
+    },
 
     /**
-     * Total admin entries by note field prefix
-     *
-     * Renders output above `TARGET_OUTPUT` node
+     * Theme to display
      *
-     * @method run
-     * @param {QueryResult} rows Rows to summarize
-     * @chainable
+     * @method resolve
+     * @param {String} [name] Theme name from `SHADES`. Other values, such as `auto`, follow the operating system.
+     * @return {String} Theme name
      */
-    run: function(rows) {
-        var totals = {};
-        var self = this;
+    resolve: function(name) {
+        if (this.SHADES.hasOwnProperty(name)) {
+            return name;
+        }
 
-        rows.forEach(function(row) {
-            var noteNode = Xpath.find(self.NOTE_CELL, row);
-            var label = noteNode.textContent.match(/(.+?): .+/);
-
-            if (label) {
-                var hourNode = Xpath.find(self.HOUR_CELL, row);
-                var hours = hourNode.textContent * 1;
-                if (totals[label[1]] === undefined) {
-                    totals[label[1]] = 0;
+        if (typeof window.matchMedia === 'function') {
+            for (var i = 0, l = this.QUERIES.length; i < l; i++) {
+                if (window.matchMedia(this.QUERIES[i].query).matches) {
+                    return this.QUERIES[i].theme;
                 }
-
-                totals[label[1]] += hours;
             }
-        });
-
-        this._render(totals);
+        }
 
-        return this;
+        return this.DEFAULT_THEME;
     },
 
     /**
-     * Create a new data object with fixed decimal values
+     * Apply a theme to the document, replacing any previous theme
      *
-     * @method _formatTotals
-     * @param {Object} totals Hour totals object to clone
-     * @param {Number} [decimals=2] Number of decimal places for new total object
-     * @returns {Object} Formatted totals object
-     * @private
+     * @method apply
+     * @param {String} [name] Theme name, as for `resolve`
+     * @return {String} Applied theme name
      */
-    _formatTotals: function(totals, decimals) {
-        if (decimals === undefined) {
-            decimals = 2;
-        }
-
-        var formattedTotals = {};
+    apply: function(name) {
+        var self = this;
+        var theme = this.resolve(name);
+        var root = document.documentElement;
 
-        for(var key in totals) {
-            if (totals.hasOwnProperty(key)) {
-                formattedTotals[key] = totals[key].toFixed(decimals);
-            }
-        }
+        Object.keys(this.SHADES).forEach(function(key) {
+            root.classList.toggle(self.CLASS_PREFIX + key, key === theme);
+        });
 
-        return formattedTotals;
+        return theme;
     },
 
     /**
-     * Whether total summary data should be rendered on the page
+     * Watch for operating system color scheme and contrast changes
      *
-     * @method _shouldRender
-     * @param {Object} totals
-     * @returns {Boolean}
-     * @private
+     * @method watch
+     * @param {callback} callback Called after each change
+     * @return {Function} Stops watching when called
      */
-    _shouldRender: function(totals) {
-        for(var item in totals) {
-            if (Object.prototype.hasOwnProperty.call(totals, item)) {
-                return true;
-            }
+    watch: function(callback) {
+        if (typeof window.matchMedia !== 'function') {
+            return function() {};
         }
 
-        return false;
-    },
+        var lists = this.QUERIES.map(function(query) {
+            return window.matchMedia(query.query);
+        });
+
+        lists.forEach(function(list) {
+            list.addEventListener('change', callback);
+        });
+
+        return function() {
+            lists.forEach(function(list) {
+                list.removeEventListener('change', callback);
+            });
+        };
+    },
 
     /**
-     * Generate HTML for hour output and insert into the DOM
+     * Adjust a highlight color for a theme
      *
-     * @method _render
-     * @param {Object} totals Summarized data as a `type`: `hours` object
+     * @method color
+     * @param {String} color Hex color
+     * @param {String} role Color role, `background` or `text`
+     * @param {String} [theme] Theme name. Colors are unchanged for unknown themes.
+     * @return {String} Hex color
+     * @example
+     *     Theme.color('#ceffcc', 'background', 'dark');
+     *     //> '#5c6d5b'
+     */
+    color: function(color, role, theme) {
+        var shade = this.SHADES.hasOwnProperty(theme) ? this.SHADES[theme][role] : null;
+
+        return shade ? this._mix(color, shade.mix, shade.weight) : color;
+    },
+
+    /**
+     * Mix two hex colors
+     *
+     * @method _mix
+     * @param {String} color Hex color
+     * @param {String} other Hex color to mix in
+     * @param {Number} weight Fraction of `color` to keep
+     * @return {String} Six digit hex color
+     * @private
+     */
+    _mix: function(color, other, weight) {
+        var to = this._channels(other);
+
+        return '#' + this._channels(color).map(function(channel, index) {
+            var mixed = Math.round(channel * weight + to[index] * (1 - weight));
+
+            return (mixed < 16 ? '0' : '') + mixed.toString(16);
+        }).join('');
+    },
+
+    /**
+     * Red, green and blue channels of a hex color
+     *
+     * @method _channels
+     * @param {String} color Three or six digit hex color
+     * @return {Number[]}
      * @private
+     */
+    _channels: function(color) {
+        var hex = color.replace('#', '');
+
+        if (hex.length === 3) {
+            hex = hex.replace(/./g, '$&$&');
+        }
+
+        return [0, 2, 4].map(function(index) {
+            return parseInt(hex.substr(index, 2), 16);
+        });
+    }
+};
+
+/**
+ * Page adapters, describing where entries and helper output are found on each supported page
+ *
+ * Adapters are chosen by page URL. Pages not matching any adapter use the first registered adapter.
+ *
+ * @class Page
+ * @static
+ */
+var Page = {
+    /**
+     * Default adapter fields, used for any fields an adapter does not declare
+     *
+     * - `url`: Regular expression matching page URLs
+     * - `rows`: Xpath query for all timed entry rows, regardless of project
+     * - `cells`: Xpath selectors for entry fields, relative to entry rows
+     * - `inputs`: Hidden input names for entry fields, relative to entry rows
+     * - `params`: URL query parameter names for entry fields missing from rows
+     * - `mount`: Xpath query for the element to insert helper output before
+     * - `form`: Xpath query for the inline entry form, or null on read-only pages
+     *
+     * @property DEFAULTS
+     * @type Object
+     * @static
+     * @final
+     */
+    DEFAULTS: {
+        url: /$^/,
+        rows: '//tr[td[contains(@class, "start_time")] and td[contains(@class, "end_time")]]',
+        cells: {
+            day: 'td[contains(@class, "day")]',
+            startTime: 'td[contains(@class, "start_time")]',
+            endTime: 'td[contains(@class, "end_time")]',
+            hours: 'td[contains(@class, "hours")]',
+            client: 'td[contains(@class, "client")]',
+            project: 'td[contains(@class, "project")]',
+            notes: 'td[contains(@class, "notes")]'
+        },
+        inputs: {
+            id: 'id',
+            weekEnding: 'week_ending',
+            user: 'ts_user'
+        },
+        params: {},
+        mount: '(//table[.//tr[td[contains(@class, "start_time")]]])[1]',
+        form: null
+    },
+
+    /**
+     * Registered adapters, in detection order
+     *
+     * @property adapters
+     * @type Object[]
+     */
+    adapters: [],
+
+    /**
+     * Register a page adapter
+     *
+     * An adapter registered with an existing name replaces it.
+     *
+     * @method register
+     * @param {String} name Adapter name
+     * @param {Object} adapter Adapter fields, as in `DEFAULTS`
      * @chainable
+     * @example
+     *     Page.register('report', {url: /\/timesheet_report\.php/, params: {user: 'user'}});
      */
-    _render: function(totals) {
-        var entries = document.getElementById(this.TARGET_OUTPUT);
+    register: function(name, adapter) {
+        var merged = {name: name};
+
+        for (var key in this.DEFAULTS) {
+            if (this.DEFAULTS.hasOwnProperty(key)) {
+                merged[key] = adapter.hasOwnProperty(key) ? adapter[key] : this.DEFAULTS[key];
+            }
+        }
 
-        if(entries && this._shouldRender(totals)) {
-            var summary = document.createElement('div');
-            summary.setAttribute('id', this.OUTPUT_ID);
-            var formattedTotals = this._formatTotals(totals);
+        this.adapters = this.adapters.filter(function(existing) {
+            return existing.name !== name;
+        });
+        this.adapters.push(merged);
 
-            summary.innerHTML = Template.render('<ul>{items}</ul>', {
-                items: Template.renderObject('<li>{key}: <span class="admin_helper_hours">{value}</span>', formattedTotals)
-            }, true);
+        return this;
+    },
+
+    /**
+     * Find the adapter for a page URL
+     *
+     * @method detect
+     * @param {String} url
+     * @return {Object|null} First matching adapter
+     */
+    detect: function(url) {
+        for (var i = 0, l = this.adapters.length; i < l; i++) {
+            if (this.adapters[i].url.test(url)) {
+                return this.adapters[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Use an adapter regardless of the page URL
+     *
+     * @method use
+     * @param {String} [name] Adapter name. Defaults to detecting the adapter from the page URL.
+     * @chainable
+     */
+    use: function(name) {
+        this._adapter = null;
 
-            entries.parentNode.insertBefore(summary, entries);
+        for (var i = 0, l = this.adapters.length; i < l; i++) {
+            if (this.adapters[i].name === name) {
+                this._adapter = this.adapters[i];
+            }
         }
+
         return this;
+    },
+
+    /**
+     * Adapter for the current page
+     *
+     * @method adapter
+     * @return {Object}
+     */
+    adapter: function() {
+        return this._adapter || this.detect(window.location.href) || this.adapters[0] || this.DEFAULTS;
+    },
+
+    /**
+     * All entry rows on the current page
+     *
+     * @method rows
+     * @return {QueryResult}
+     */
+    rows: function() {
+        return Xpath.findAll(this.adapter().rows);
+    },
+
+    /**
+     * Element to insert helper output before
+     *
+     * @method mount
+     * @return {HTMLElement|null}
+     */
+    mount: function() {
+        return Xpath.find(this.adapter().mount);
+    },
+
+    /**
+     * Inline entry form
+     *
+     * @method form
+     * @return {HTMLElement|null} Null on read-only pages
+     */
+    form: function() {
+        var form = this.adapter().form;
+
+        return form ? Xpath.find(form) : null;
+    },
+
+    /**
+     * Whether the current page is a read-only view, such as another user's timesheet report
+     *
+     * @method readOnly
+     * @return {Boolean} True when the adapter has no entry form
+     */
+    readOnly: function() {
+        return ! this.adapter().form;
+    },
+
+    /**
+     * Query parameter of the current page URL
+     *
+     * @method param
+     * @param {String} name Parameter name
+     * @param {String} [url] URL to read, defaults to the current page
+     * @return {String} Parameter value, or an empty string when missing
+     */
+    param: function(name, url) {
+        return new URL(url || window.location.href).searchParams.get(name) || '';
+    }
+};
+
+/**
+ * Timesheet entry row parser
+ *
+ * Converts entry rows into plain objects, so that hooks share a single parse pass. Fields are found with the current
+ * `Page` adapter.
+ *
+ * @class TimesheetEntry
+ * @static
+ */
+var TimesheetEntry = {
+    /**
+     * Parse an entry row
+     *
+     * Missing cells and inputs are parsed as empty strings, unless found in the page URL. Invalid hours are parsed as NaN.
+     *
+     * @method parse
+     * @param {HTMLElement} row Entry row
+     * @param {Object} [adapter] Page adapter, defaults to the adapter for the current page
+     * @return {Object} Entry data, with the source `row`
+     * @example
+     *     var entry = TimesheetEntry.parse(row);
+     *     console.log(entry.project, entry.hours);
+     *     //> ADMIN 0.75
+     */
+    parse: function(row, adapter) {
+        var entry = {row: row};
+        var key;
+
+        adapter = adapter || Page.adapter();
+
+        for (key in adapter.cells) {
+            if (adapter.cells.hasOwnProperty(key)) {
+                entry[key] = this._text(Xpath.find(adapter.cells[key], row));
+            }
+        }
+
+        for (key in adapter.inputs) {
+            if (adapter.inputs.hasOwnProperty(key)) {
+                var input = Xpath.find('.//input[@name=' + Xpath.literal(adapter.inputs[key]) + ']', row);
+                entry[key] = input ? input.value : '';
+            }
+        }
+
+        for (key in adapter.params) {
+            if (adapter.params.hasOwnProperty(key)) {
+                entry[key] = entry[key] || Page.param(adapter.params[key]);
+            }
+        }
+
+        entry.hours = this._number(entry.hours);
+
+        return entry;
+    },
+
+    /**
+     * Parse multiple entry rows
+     *
+     * @method parseAll
+     * @param {QueryResult|HTMLElement[]} rows Entry rows
+     * @return {Object[]} Entry data
+     */
+    parseAll: function(rows) {
+        var self = this;
+        var adapter = Page.adapter();
+
+        return rows.map(function(row) {
+            return self.parse(row, adapter);
+        });
+    },
+
+    /**
+     * Parse a decimal number
+     *
+     * @method _number
+     * @param {String} text
+     * @return {Number} Parsed number, or NaN when the text is not a valid decimal number
+     * @private
+     */
+    _number: function(text) {
+        return (/^-?(\d+\.?\d*|\.\d+)$/).test(text) ? parseFloat(text) : NaN;
+    },
+
+    /**
+     * Trimmed text content of a node
+     *
+     * @method _text
+     * @param {HTMLElement|null} node
+     * @return {String}
+     * @private
+     */
+    _text: function(node) {
+        return node ? node.textContent.trim() : '';
     }
 };
 
 /**
- * Finds Admin entry rows and delegates actions to provided hooks
+ * Parse result rows into timesheet entries
+ *
+ * @method toEntries
+ * @for QueryResult
+ * @return {Object[]} Entry data, as returned by `TimesheetEntry.parse`
+ * @example
+ *     var entries = Page.rows().toEntries();
+ */
+QueryResult.prototype.toEntries = function() {
+    return TimesheetEntry.parseAll(this);
+};
+
+/**
+ * Finds entry rows for configured projects and delegates actions to provided hooks
  *
  * @class AdminHelper
  * @static
  */
 var AdminHelper = {
     /**
-     * Xpath query for admin rows
+     * Delay, in milliseconds, to wait for table changes to settle before refreshing
+     *
+     * @property REFRESH_DELAY
+     * @type Number
+     * @static
+     * @final
+     * @default 250
+     */
+    REFRESH_DELAY: 250,
+
+    /**
+     * Classname for helper-generated DOM nodes
+     *
+     * Changes within these nodes do not trigger a refresh
      *
-     * @property ADMIN_ROWS
+     * @property OUTPUT_CLASS
      * @type String
      * @static
      * @final
-     * @default '//tr[td[@class='project']/span[text()='ADMIN']]'
+     * @default 'admin_helper_output'
+     */
+    OUTPUT_CLASS: 'admin_helper_output',
+
+    /**
+     * Priority for plugins registered without one. Lower priorities run first.
+     *
+     * @property DEFAULT_PRIORITY
+     * @type Number
+     * @static
+     * @final
+     * @default 100
+     */
+    DEFAULT_PRIORITY: 100,
+
+    /**
+     * Registered plugins, in run order
+     *
+     * @property plugins
+     * @type Object[]
+     */
+    plugins: [],
+
+    /**
+     * Register a plugin hook
+     *
+     * Hooks may implement any of the lifecycle methods:
+     *
+     * - `setup(settings, options)`: Called before the first run, and again after being re-enabled
+     * - `run(rows, settings, entries, pageEntries)`: Called for the first run
+     * - `update(rows, settings, entries, pageEntries)`: Called for later refreshes. Defaults to `run`.
+     * - `teardown()`: Called when the plugin is disabled or unregistered, to remove its output
+     *
+     * A plugin registered with an existing name replaces it.
+     *
+     * @method register
+     * @param {String} name Plugin name, used to enable or disable it in `settings.plugins`
+     * @param {Object} hook Lifecycle methods
+     * @param {Object} [options] Plugin options, also passed to `setup`
+     * @param {Number} [options.priority=DEFAULT_PRIORITY] Run order. Lower priorities run first.
+     * @param {Boolean} [options.enabled=true] Whether the plugin runs when not configured in settings
+     * @chainable
+     * @example
+     *     AdminHelper.register('highlight', Highlight, {priority: 10});
+     */
+    register: function(name, hook, options) {
+        options = options || {};
+
+        var plugin = {
+            name: name,
+            hook: hook,
+            options: options,
+            priority: typeof options.priority === 'number' ? options.priority : this.DEFAULT_PRIORITY,
+            enabled: options.enabled !== false,
+            active: false,
+            ran: false
+        };
+        var index = 0;
+
+        this.unregister(name);
+
+        while (index < this.plugins.length && this.plugins[index].priority <= plugin.priority) {
+            index++;
+        }
+
+        this.plugins.splice(index, 0, plugin);
+
+        return this;
+    },
+
+    /**
+     * Remove a registered plugin, tearing it down if active
+     *
+     * @method unregister
+     * @param {String} name Plugin name
+     * @chainable
+     */
+    unregister: function(name) {
+        var plugin = this.plugin(name);
+
+        if (plugin) {
+            this._deactivate(plugin);
+            this.plugins.splice(this.plugins.indexOf(plugin), 1);
+        }
+
+        return this;
+    },
+
+    /**
+     * Find a registered plugin
+     *
+     * @method plugin
+     * @param {String} name Plugin name
+     * @return {Object|null} Plugin, with `name`, `hook`, `options`, `priority` and `enabled`
+     */
+    plugin: function(name) {
+        for (var i = 0, l = this.plugins.length; i < l; i++) {
+            if (this.plugins[i].name === name) {
+                return this.plugins[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Whether a plugin is enabled
+     *
+     * `settings.plugins` takes precedence over the plugin's registered `enabled` option
+     *
+     * @method isEnabled
+     * @param {Object} plugin Registered plugin
+     * @param {Object} [settings] User settings
+     * @return {Boolean}
      */
-    ADMIN_ROWS: '//tr[td[contains(@class, "project")]/span[text()="ADMIN"]]',
+    isEnabled: function(plugin, settings) {
+        var plugins = (settings && settings.plugins) || {};
+
+        return plugins.hasOwnProperty(plugin.name) ? !!plugins[plugin.name] : plugin.enabled;
+    },
 
     /**
      * Admin helper initialization
      *
+     * Runs plugins against the current rows, and again whenever timesheet tables or the operating system theme change
+     *
      * @method init
-     * @param {Object[]} hooks Array of classes with `run` methods
+     * @param {Object} [settings] User settings
      */
-    init: function(hooks) {
-        this._iterateRows(hooks);
+    init: function(settings) {
+        var self = this;
+
+        this.settings = settings;
+        I18n.use(settings && settings.locale);
+        Theme.apply(settings && settings.theme);
+
+        this.refresh();
+        this.observe();
+
+        Theme.watch(function() {
+            self.configure(self.settings);
+        });
     },
 
     /**
-     * Admin row iteration, delegate to provided hooks
+     * Apply new settings, tearing down plugins which have been disabled and refreshing the rest
      *
-     * @method _iterateRows
-     * @param {Object[]} hooks Array of classes with `run` methods
-     * @private
+     * @method configure
+     * @param {Object} settings User settings
+     * @chainable
      */
-    _iterateRows: function(hooks) {
-        var rows = Xpath.findAll(this.ADMIN_ROWS);
+    configure: function(settings) {
+        this.settings = settings;
+        I18n.use(settings && settings.locale);
+        Theme.apply(settings && settings.theme);
+
+        return this.refresh();
+    },
 
-        hooks.forEach(function(hook) {
-            if (typeof hook.run === 'function') {
-                hook.run(rows);
+    /**
+     * Apply settings saved elsewhere
+     *
+     * Extension options pages announce saved settings with a `Settings.CHANGED` message. Outside of an extension,
+     * where no messages are sent, stored settings are watched instead.
+     *
+     * @method listen
+     * @chainable
+     */
+    listen: function() {
+        var self = this;
+        var listening = Browser.onMessage(function(message) {
+            if (message && message.type === Settings.CHANGED) {
+                Settings.load(function(settings) {
+                    self.configure(settings);
+                });
             }
         });
-    }
-};
 
-AdminHelper.init([
-    Highlight,
-    Summarize
-]);
\ No newline at end of file
+        if ( ! listening) {
+            Settings.watch(function(settings) {
+                self.configure(settings);
+            });
+        }
+
+        return this;
+    },
+
+    /**
+     * Re-run plugins against the current rows
+     *
+     * Table mutations made by the plugins themselves are not observed
+     *
+     * @method refresh
+     * @chainable
+     */
+    refresh: function() {
+        this.disconnect();
+        this._iterateRows(this.plugins, this.settings);
+        this.observe();
+
+        return this;
+    },
+
+    /**
+     * Stop watching for changes and tear down all active plugins
+     *
+     * @method teardown
+     * @chainable
+     */
+    teardown: function() {
+        var self = this;
+
+        this.disconnect();
+        this.plugins.forEach(function(plugin) {
+            self._deactivate(plugin);
+        });
+
+        return this;
+    },
+
+    /**
+     * Watch the document for table changes, refreshing after `REFRESH_DELAY`
+     *
+     * Bursts of changes are debounced into a single refresh
+     *
+     * @method observe
+     * @chainable
+     */
+    observe: function() {
+        var self = this;
+
+        if (typeof MutationObserver === 'undefined') {
+            return this;
+        }
+
+        if ( ! this._observer) {
+            this._observer = new MutationObserver(function(mutations) {
+                if (mutations.some(self._isTableMutation, self)) {
+                    self._scheduleRefresh();
+                }
+            });
+        }
+
+        this._observer.observe(document.body, {
+            childList: true,
+            characterData: true,
+            subtree: true
+        });
+
+        return this;
+    },
+
+    /**
+     * Stop watching for table changes, cancelling any pending refresh
+     *
+     * @method disconnect
+     * @chainable
+     */
+    disconnect: function() {
+        if (this._observer) {
+            this._observer.disconnect();
+        }
+
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+
+        return this;
+    },
+
+    /**
+     * Schedule a refresh, replacing any already pending
+     *
+     * @method _scheduleRefresh
+     * @private
+     */
+    _scheduleRefresh: function() {
+        var self = this;
+
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = setTimeout(function() {
+            self._refreshTimer = null;
+            self.refresh();
+        }, this.REFRESH_DELAY);
+    },
+
+    /**
+     * Whether a mutation affected table content outside of helper output
+     *
+     * @method _isTableMutation
+     * @param {MutationRecord} mutation
+     * @return {Boolean}
+     * @private
+     */
+    _isTableMutation: function(mutation) {
+        var self = this;
+        var inTable = false;
+        var changed = Array.prototype.slice.call(mutation.addedNodes || [])
+            .concat(Array.prototype.slice.call(mutation.removedNodes || []));
+
+        var outputOnly = changed.length > 0 && changed.every(function(node) {
+            return self._isOutput(node);
+        });
+
+        if (outputOnly) {
+            return false;
+        }
+
+        for (var node = mutation.target; node; node = node.parentNode) {
+            if (this._isOutput(node)) {
+                return false;
+            }
+
+            if (node.nodeName === 'TABLE') {
+                inTable = true;
+            }
+        }
+
+        return inTable;
+    },
+
+    /**
+     * Whether a node is helper-generated output
+     *
+     * @method _isOutput
+     * @param {Node} node
+     * @return {Boolean}
+     * @private
+     */
+    _isOutput: function(node) {
+        return !!(node.classList && node.classList.contains(this.OUTPUT_CLASS));
+    },
+
+    /**
+     * Build an xpath query matching the current page's entry rows for any of the provided projects
+     *
+     * @method rowQuery
+     * @param {Object[]} projects Project configurations
+     * @param {Object} [adapter] Page adapter, defaults to the adapter for the current page
+     * @return {String} Xpath query
+     * @example
+     *     AdminHelper.rowQuery([{code: 'ADMIN'}, {code: 'PTO'}]);
+     *     //> //tr[...][td[contains(@class, "project")][normalize-space()="ADMIN" or normalize-space()="PTO"]]
+     */
+    rowQuery: function(projects, adapter) {
+        var conditions = projects.map(function(project) {
+            return 'normalize-space()=' + Xpath.literal(project.code);
+        });
+
+        adapter = adapter || Page.adapter();
+
+        return Template.render('{rows}[{project}[{projects}]]', {
+            rows: adapter.rows,
+            project: adapter.cells.project,
+            projects: conditions.length ? conditions.join(' or ') : 'false()'
+        }, true);
+    },
+
+    /**
+     * Project row iteration, delegate to enabled plugins
+     *
+     * All entry rows on the page are parsed once. Plugins receive the configured project rows and their entry data,
+     * along with entry data for every row on the page. Disabled plugins are torn down.
+     *
+     * @method _iterateRows
+     * @param {Object[]} plugins Registered plugins
+     * @param {Object} [settings] User settings
+     * @private
+     */
+    _iterateRows: function(plugins, settings) {
+        var self = this;
+        settings = settings || Settings.DEFAULTS;
+
+        var rows = Xpath.findAll(this.rowQuery(settings.projects));
+        var projectRows = rows.all();
+        var pageEntries = Page.rows().toEntries();
+        var entries = pageEntries.filter(function(entry) {
+            return projectRows.indexOf(entry.row) !== -1;
+        });
+
+        plugins.forEach(function(plugin) {
+            if ( ! self.isEnabled(plugin, settings)) {
+                self._deactivate(plugin);
+                return;
+            }
+
+            if ( ! plugin.active) {
+                plugin.active = true;
+                self._call(plugin, 'setup', [settings, plugin.options]);
+            }
+
+            var method = plugin.ran && typeof plugin.hook.update === 'function' ? 'update' : 'run';
+            plugin.ran = true;
+            self._call(plugin, method, [rows, settings, entries, pageEntries]);
+        });
+    },
+
+    /**
+     * Tear down an active plugin
+     *
+     * @method _deactivate
+     * @param {Object} plugin Registered plugin
+     * @private
+     */
+    _deactivate: function(plugin) {
+        if (plugin.active) {
+            plugin.active = false;
+            plugin.ran = false;
+            this._call(plugin, 'teardown', []);
+        }
+    },
+
+    /**
+     * Call a plugin lifecycle method, if implemented
+     *
+     * Errors are logged, so that one failing plugin does not stop the others. Methods may return a promise, in which
+     * case a rejection is logged the same way.
+     *
+     * @method _call
+     * @param {Object} plugin Registered plugin
+     * @param {String} method Lifecycle method name
+     * @param {Array} args Method arguments
+     * @return {Boolean} False if the method threw an error
+     * @private
+     */
+    _call: function(plugin, method, args) {
+        var self = this;
+        var result;
+
+        if (typeof plugin.hook[method] !== 'function') {
+            return true;
+        }
+
+        try {
+            result = plugin.hook[method].apply(plugin.hook, args);
+        } catch (e) {
+            this._failed(plugin, method, e);
+
+            return false;
+        }
+
+        if (result && typeof result.then === 'function') {
+            result.then(null, function(e) {
+                self._failed(plugin, method, e);
+            });
+        }
+
+        return true;
+    },
+
+    /**
+     * Log a plugin lifecycle method failure
+     *
+     * @method _failed
+     * @param {Object} plugin Registered plugin
+     * @param {String} method Lifecycle method name
+     * @param {*} error
+     * @private
+     */
+    _failed: function(plugin, method, error) {
+        console.error('AdminHelper: "' + plugin.name + '" plugin failed during ' + method, error);
+    }
+};
+
+/**
+ * Entry categorization by note field prefix
+ *
+ * @class Categorize
+ * @static
+ */
+var Categorize = {
+    /**
+     * Note pattern, capturing the category prefix
+     *
+     * @property PATTERN
+     * @type RegExp
+     * @static
+     * @final
+     * @default /(.+?): .+/
+     */
+    PATTERN: /(.+?): .+/,
+
+    /**
+     * Category for entries without a note prefix or matching rule
+     *
+     * @property UNCATEGORIZED
+     * @type String
+     * @static
+     * @final
+     * @default 'Uncategorized'
+     */
+    UNCATEGORIZED: 'Uncategorized',
+
+    /**
+     * Find the raw category label for an entry
+     *
+     * @method label
+     * @param {Object} entry Parsed entry
+     * @return {String|null} Note prefix, if the entry notes have one
+     * @example
+     *     Categorize.label({notes: 'Hiring : Phone screen'});
+     *     //> 'Hiring '
+     */
+    label: function(entry) {
+        var label = entry.notes.match(this.PATTERN);
+
+        return label ? label[1] : null;
+    },
+
+    /**
+     * Find the category for an entry
+     *
+     * Labels matching an alias are replaced with the aliased category. Entries without a note
+     * prefix are categorized by the first matching rule, or as `UNCATEGORIZED`.
+     *
+     * @method category
+     * @param {Object} entry Parsed entry
+     * @param {Object} [settings] User settings
+     * @return {String} Category
+     * @example
+     *     Categorize.category({notes: 'recruit: Phone screen'}, {aliases: {Recruit: 'Recruiting'}});
+     *     //> Recruiting
+     *
+     *     Categorize.category({notes: 'Daily standup'}, {rules: [{type: 'regex', match: 'standup', category: 'Meetings'}]});
+     *     //> Meetings
+     */
+    category: function(entry, settings) {
+        var label = this.label(entry);
+
+        if (label === null) {
+            var rule = this._rule(entry, settings);
+
+            return rule ? rule.category : this.UNCATEGORIZED;
+        }
+
+        var alias = this._alias(label, settings);
+
+        return alias !== null ? alias : label.replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Normalize a category label for case and whitespace insensitive comparison
+     *
+     * @method normalize
+     * @param {String} label
+     * @return {String}
+     */
+    normalize: function(label) {
+        return label.replace(/\s+/g, ' ').trim().toLowerCase();
+    },
+
+    /**
+     * Category name for display, translating `UNCATEGORIZED`
+     *
+     * @method display
+     * @param {String} category
+     * @return {String}
+     */
+    display: function(category) {
+        return category === this.UNCATEGORIZED ? I18n.message('categoryUncategorized') : category;
+    },
+
+    /**
+     * Run a callback for each summarized entry with a category
+     *
+     * Entries for unconfigured projects, projects with summaries disabled, or with invalid hours, are skipped.
+     * Categories which differ only by case and whitespace are merged, using the first category seen.
+     *
+     * @method each
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @param {callback} callback Receives the project configuration, category, entry and raw label, if any
+     */
+    each: function(entries, settings, callback) {
+        var self = this;
+        var categories = {};
+
+        entries.forEach(function(entry) {
+            var project = Settings.project(settings, entry.project);
+
+            if ( ! project || ! project.summarize || isNaN(entry.hours)) {
+                return;
+            }
+
+            var category = self.category(entry, settings);
+            var key = self.normalize(category);
+
+            if ( ! categories.hasOwnProperty(key)) {
+                categories[key] = category;
+            }
+
+            callback(project, categories[key], entry, self.label(entry));
+        });
+    },
+
+    /**
+     * Raw labels merged into each category
+     *
+     * @method labels
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @return {Object} Labels as a `project`: {`category`: [`label`]} object
+     * @example
+     *     Categorize.labels([
+     *         {project: 'ADMIN', notes: 'Recruiting: Interview'},
+     *         {project: 'ADMIN', notes: 'recruiting : Review'}
+     *     ], settings);
+     *     //> {ADMIN: {Recruiting: ['Recruiting', 'recruiting ']}}
+     */
+    labels: function(entries, settings) {
+        var labels = {};
+
+        this.each(entries, settings, function(project, category, entry, label) {
+            var projectLabels = labels[project.code] = labels[project.code] || {};
+            var categoryLabels = projectLabels[category] = projectLabels[category] || [];
+
+            if (label !== null && categoryLabels.indexOf(label) === -1) {
+                categoryLabels.push(label);
+            }
+        });
+
+        return labels;
+    },
+
+    /**
+     * Total entry hours by project and category
+     *
+     * @method totals
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @return {Object} Totals as a `project`: {`category`: `hours`} object
+     * @example
+     *     Categorize.totals([{project: 'ADMIN', notes: 'Hiring: Interview', hours: 1}], settings);
+     *     //> {ADMIN: {Hiring: 1}}
+     */
+    totals: function(entries, settings) {
+        var totals = {};
+
+        this.each(entries, settings, function(project, category, entry) {
+            var projectTotals = totals[project.code] = totals[project.code] || {};
+
+            if (projectTotals[category] === undefined) {
+                projectTotals[category] = 0;
+            }
+
+            projectTotals[category] += entry.hours;
+        });
+
+        return totals;
+    },
+
+    /**
+     * Find the first rule matching an entry's notes
+     *
+     * Keyword rules match case insensitive substrings. Regex rules are case insensitive, and
+     * invalid expressions never match.
+     *
+     * @method _rule
+     * @param {Object} entry Parsed entry
+     * @param {Object} [settings] User settings
+     * @return {Object|null} Matching rule, if any
+     * @private
+     */
+    _rule: function(entry, settings) {
+        var rules = (settings && settings.rules) || [];
+        var notes = entry.notes.toLowerCase();
+
+        for (var i = 0, l = rules.length; i < l; i++) {
+            var rule = rules[i];
+
+            if (rule.type === 'regex') {
+                try {
+                    if (new RegExp(rule.match, 'i').test(entry.notes)) {
+                        return rule;
+                    }
+                } catch (e) {}
+            } else if (rule.match && notes.indexOf(rule.match.toLowerCase()) !== -1) {
+                return rule;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Find the aliased category for a label
+     *
+     * @method _alias
+     * @param {String} label Raw category label
+     * @param {Object} [settings] User settings
+     * @return {String|null} Aliased category, if any
+     * @private
+     */
+    _alias: function(label, settings) {
+        var aliases = (settings && settings.aliases) || {};
+        var key = this.normalize(label);
+
+        for (var alias in aliases) {
+            if (aliases.hasOwnProperty(alias) && this.normalize(alias) === key) {
+                return aliases[alias];
+            }
+        }
+
+        return null;
+    }
+};
+
+/**
+ * Weekly hour budgets per category
+ *
+ * @class Budget
+ * @static
+ */
+var Budget = {
+    /**
+     * Budget status when hours are at or above the warning threshold
+     *
+     * @property WARNING
+     * @type String
+     * @static
+     * @final
+     * @default 'warning'
+     */
+    WARNING: 'warning',
+
+    /**
+     * Budget status when hours exceed the budget
+     *
+     * @property OVER
+     * @type String
+     * @static
+     * @final
+     * @default 'over'
+     */
+    OVER: 'over',
+
+    /**
+     * Budget status when hours are within the budget
+     *
+     * @property OK
+     * @type String
+     * @static
+     * @final
+     * @default 'ok'
+     */
+    OK: 'ok',
+
+    /**
+     * Find the weekly budget for a category
+     *
+     * Categories are matched regardless of case and whitespace
+     *
+     * @method budget
+     * @param {Object} settings User settings
+     * @param {String} category
+     * @return {Number|null} Budgeted hours, if any
+     */
+    budget: function(settings, category) {
+        var budgets = settings.budgets || {};
+        var key = Categorize.normalize(category);
+
+        for (var budgetCategory in budgets) {
+            if (budgets.hasOwnProperty(budgetCategory) && Categorize.normalize(budgetCategory) === key) {
+                return budgets[budgetCategory];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Compare used hours against a category budget
+     *
+     * @method status
+     * @param {Number} hours Used hours
+     * @param {Number} budget Budgeted hours
+     * @param {Number} [threshold=1] Fraction of the budget at which to warn
+     * @return {String} One of `OK`, `WARNING` or `OVER`
+     */
+    status: function(hours, budget, threshold) {
+        if (hours > budget) {
+            return this.OVER;
+        }
+
+        if (hours >= budget * (threshold === undefined ? 1 : threshold)) {
+            return this.WARNING;
+        }
+
+        return this.OK;
+    }
+};
+
+/**
+ * Hour display formatting
+ *
+ * Totals are summed unrounded, and only rounded for display, so rounding error doesn't accumulate
+ * across categories and subtotals.
+ *
+ * @class Hours
+ * @static
+ */
+var Hours = {
+    /**
+     * Rounding directions, as `direction`: `Math` method pairs
+     *
+     * @property DIRECTIONS
+     * @type Object
+     * @static
+     * @final
+     */
+    DIRECTIONS: {
+        nearest: 'round',
+        up: 'ceil',
+        down: 'floor'
+    },
+
+    /**
+     * Format hours for display
+     *
+     * Hours are displayed in one of three modes:
+     *
+     * - `decimal`: Decimal hours, with `precision` decimal places
+     * - `rounded`: Decimal hours, rounded to an `increment` in a `direction`
+     * - `duration`: Hours and minutes, as `h:mm`
+     *
+     * @method format
+     * @param {Number} hours
+     * @param {Object} [options] Display options, as in `settings.hoursFormat`
+     * @param {String} [options.mode='decimal'] Display mode, `decimal`, `rounded` or `duration`
+     * @param {Number} [options.precision=2] Decimal places for `decimal` mode
+     * @param {Number} [options.increment=0.25] Rounding increment for `rounded` mode
+     * @param {String} [options.direction='nearest'] Rounding direction for `rounded` mode, from `DIRECTIONS`
+     * @return {String} Formatted hours
+     * @example
+     *     Hours.format(1.3, {mode: 'rounded', increment: 0.25, direction: 'up'});
+     *     //> 1.50
+     *
+     *     Hours.format(1.75, {mode: 'duration'});
+     *     //> 1:45
+     */
+    format: function(hours, options) {
+        options = options || Settings.DEFAULTS.hoursFormat;
+
+        if (options.mode === 'duration') {
+            return this.duration(hours);
+        }
+
+        if (options.mode === 'rounded') {
+            var increment = parseFloat(options.increment) > 0 ? parseFloat(options.increment) : Settings.DEFAULTS.hoursFormat.increment;
+
+            return this._fixed(this.round(hours, increment, options.direction), this._decimals(increment));
+        }
+
+        var precision = parseInt(options.precision, 10);
+
+        return this._fixed(hours, precision >= 0 && precision <= 20 ? precision : Settings.DEFAULTS.hoursFormat.precision);
+    },
+
+    /**
+     * Round hours to an increment
+     *
+     * @method round
+     * @param {Number} hours
+     * @param {Number} increment Rounding increment, such as 0.25
+     * @param {String} [direction='nearest'] Rounding direction, from `DIRECTIONS`
+     * @return {Number} Rounded hours
+     */
+    round: function(hours, increment, direction) {
+        var method = this.DIRECTIONS.hasOwnProperty(direction) ? this.DIRECTIONS[direction] : this.DIRECTIONS.nearest;
+
+        // Strip floating point error before rounding, so that 0.3 / 0.1 doesn't round up
+        var steps = parseFloat((hours / increment).toFixed(9));
+
+        return parseFloat((Math[method](steps) * increment).toFixed(this._decimals(increment)));
+    },
+
+    /**
+     * Format hours as hours and minutes
+     *
+     * @method duration
+     * @param {Number} hours
+     * @return {String} Duration, as `h:mm` in English
+     */
+    duration: function(hours) {
+        var minutes = Math.round(Math.abs(hours) * 60);
+
+        return I18n.message('hoursDuration', {
+            sign: hours < 0 && minutes ? '-' : '',
+            hours: I18n.number(Math.floor(minutes / 60)),
+            minutes: I18n.number(minutes % 60, {minimumIntegerDigits: 2})
+        });
+    },
+
+    /**
+     * Describe hours for screen readers
+     *
+     * Up to two decimal places are used in every display mode, as durations such as `1:30` are read out as times
+     *
+     * @method spoken
+     * @param {Number} hours
+     * @return {String}
+     * @example
+     *     Hours.spoken(1.5);
+     *     //> '1.5 hours'
+     */
+    spoken: function(hours) {
+        var rounded = parseFloat(hours.toFixed(2));
+
+        return I18n.message(I18n.plural(rounded) === 'one' ? 'hoursSpokenOne' : 'hoursSpoken', {
+            hours: I18n.number(rounded, {maximumFractionDigits: 2})
+        });
+    },
+
+    /**
+     * Format hours with a fixed number of decimal places, for the current locale
+     *
+     * @method _fixed
+     * @param {Number} hours
+     * @param {Number} decimals
+     * @return {String}
+     * @private
+     */
+    _fixed: function(hours, decimals) {
+        return I18n.number(hours, {minimumFractionDigits: decimals, maximumFractionDigits: decimals});
+    },
+
+    /**
+     * Number of decimal places in an increment
+     *
+     * @method _decimals
+     * @param {Number} increment
+     * @return {Number}
+     * @private
+     */
+    _decimals: function(increment) {
+        var decimals = String(increment).split('.')[1];
+
+        return decimals ? decimals.length : 0;
+    }
+};
+
+/**
+ * Admin row highlighter class
+ *
+ * @class Highlight
+ * @static
+ */
+var Highlight = {
+    /**
+     * Classname to add to highlighted DOM nodes
+     *
+     * @property HIGHLIGHT_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_highlight'
+     */
+    HIGHLIGHT_CLASS: 'admin_helper_highlight',
+
+    /**
+     * Classname prefix for per-project highlight colors
+     *
+     * The index of the project in `settings.projects` is appended
+     *
+     * @property PROJECT_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_project_'
+     */
+    PROJECT_CLASS: 'admin_helper_project_',
+
+    /**
+     * Classname to add to rows in categories over their weekly budget
+     *
+     * @property OVER_BUDGET_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_over_budget'
+     */
+    OVER_BUDGET_CLASS: 'admin_helper_over_budget',
+
+    /**
+     * ID of the generated highlight stylesheet
+     *
+     * @property STYLE_ID
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_styles'
+     */
+    STYLE_ID: 'admin_helper_styles',
+
+    /**
+     * Classname prefix for highlight rule styles
+     *
+     * The index of the rule in `settings.highlights` is appended
+     *
+     * @property RULE_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_rule_'
+     */
+    RULE_CLASS: 'admin_helper_rule_',
+
+    /**
+     * CSS templates for highlight rule styles, by style name
+     *
+     * @property RULE_STYLES
+     * @type Object
+     * @static
+     * @final
+     */
+    RULE_STYLES: {
+        fill: '.data_table tr.{className} td { background-color: {color}; }',
+        text: '.data_table tr.{className} td { color: {color}; }',
+        outline: '.data_table tr.{className} td:first-child { box-shadow: inset 4px 0 0 {color}; }'
+    },
+
+    /**
+     * Apply highlight class to DOM nodes, and highlight rule styles to all entry rows
+     *
+     * Rows belonging to a project with highlighting disabled are skipped
+     *
+     * @method run
+     * @param {QueryResult} rows Elements to highlight
+     * @param {Object} [settings] User settings
+     * @param {Object[]} [entries] Parsed entries for `rows`
+     * @param {Object[]} [pageEntries] Parsed entries for all entry rows on the page
+     * @chainable
+     */
+    run: function(rows, settings, entries, pageEntries) {
+        var self = this;
+        settings = settings || Settings.DEFAULTS;
+        entries = entries || TimesheetEntry.parseAll(rows);
+
+        this._clear();
+
+        entries.forEach(function(entry) {
+            var project = Settings.project(settings, entry.project);
+
+            if (project && !project.highlight) {
+                return;
+            }
+
+            entry.row.classList.add(self.HIGHLIGHT_CLASS);
+
+            if (project) {
+                entry.row.classList.add(self.PROJECT_CLASS + settings.projects.indexOf(project));
+            }
+        });
+
+        this._highlightRules(pageEntries || Page.rows().toEntries(), settings);
+        this._highlightOverBudget(entries, settings);
+        this._renderStyles(settings);
+
+        return this;
+    },
+
+    /**
+     * Remove highlight classes and generated styles
+     *
+     * @method teardown
+     * @chainable
+     */
+    teardown: function() {
+        this._clear();
+
+        var style = document.getElementById(this.STYLE_ID);
+
+        if (style) {
+            style.parentNode.removeChild(style);
+        }
+
+        return this;
+    },
+
+    /**
+     * Find the first highlight rule matching an entry
+     *
+     * - `project` rules match the project code, ignoring case
+     * - `client` rules match case insensitive substrings of the client
+     * - `category` rules match the entry category, ignoring case and whitespace
+     * - `notes` rules match a case insensitive regular expression. Invalid expressions never match.
+     * - `hours` rules match entries with more hours than the rule
+     *
+     * @method rule
+     * @param {Object} entry Parsed entry
+     * @param {Object} [settings] User settings
+     * @return {Object|null} Matching rule, if any
+     * @example
+     *     Highlight.rule({hours: 5}, {highlights: [{field: 'hours', match: '4', color: '#ffbf00', style: 'fill'}]});
+     *     //> {field: 'hours', match: '4', color: '#ffbf00', style: 'fill'}
+     */
+    rule: function(entry, settings) {
+        var rules = (settings && settings.highlights) || [];
+
+        for (var i = 0, l = rules.length; i < l; i++) {
+            if (this._matches(rules[i], entry, settings)) {
+                return rules[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Check whether a highlight rule matches an entry
+     *
+     * @method _matches
+     * @param {Object} rule Highlight rule
+     * @param {Object} entry Parsed entry
+     * @param {Object} [settings] User settings
+     * @return {Boolean}
+     * @private
+     */
+    _matches: function(rule, entry, settings) {
+        var match = String(rule.match || '');
+
+        if ( ! match) {
+            return false;
+        }
+
+        switch (rule.field) {
+        case 'project':
+            return entry.project.toLowerCase() === match.trim().toLowerCase();
+        case 'client':
+            return entry.client.toLowerCase().indexOf(match.toLowerCase()) !== -1;
+        case 'category':
+            return Categorize.normalize(Categorize.category(entry, settings)) === Categorize.normalize(match);
+        case 'notes':
+            return this._test(match, entry.notes);
+        case 'hours':
+            return entry.hours > parseFloat(match);
+        }
+
+        return false;
+    },
+
+    /**
+     * Test text against a case insensitive regular expression
+     *
+     * @method _test
+     * @param {String} pattern Regular expression source
+     * @param {String} text
+     * @return {Boolean} False for invalid expressions
+     * @private
+     */
+    _test: function(pattern, text) {
+        try {
+            return new RegExp(pattern, 'i').test(text);
+        } catch (e) {
+            return false;
+        }
+    },
+
+    /**
+     * Apply highlight rule classes to all entry rows on the page
+     *
+     * @method _highlightRules
+     * @param {Object[]} pageEntries Parsed entries for all entry rows on the page
+     * @param {Object} settings User settings
+     * @private
+     * @chainable
+     */
+    _highlightRules: function(pageEntries, settings) {
+        var self = this;
+        var rules = settings.highlights || [];
+
+        if ( ! rules.length) {
+            return this;
+        }
+
+        pageEntries.forEach(function(entry) {
+            var rule = self.rule(entry, settings);
+
+            if (rule) {
+                entry.row.classList.add(self.RULE_CLASS + rules.indexOf(rule));
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Apply over budget class to highlighted entries in categories over their weekly budget
+     *
+     * @method _highlightOverBudget
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @private
+     * @chainable
+     */
+    _highlightOverBudget: function(entries, settings) {
+        var self = this;
+        var totals = Categorize.totals(entries, settings);
+
+        Categorize.each(entries, settings, function(project, category, entry) {
+            var budget = Budget.budget(settings, category);
+
+            if (
+                budget !== null &&
+                entry.row.classList.contains(self.HIGHLIGHT_CLASS) &&
+                Budget.status(totals[project.code][category], budget) === Budget.OVER
+            ) {
+                entry.row.classList.add(self.OVER_BUDGET_CLASS);
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Remove highlight classes from previously highlighted DOM nodes
+     *
+     * @method _clear
+     * @private
+     * @chainable
+     */
+    _clear: function() {
+        var self = this;
+        var highlighted = document.querySelectorAll(
+            '.' + this.HIGHLIGHT_CLASS + ', [class*="' + this.RULE_CLASS + '"]'
+        );
+
+        Array.prototype.slice.call(highlighted).forEach(function(node) {
+            node.classList.remove(self.HIGHLIGHT_CLASS, self.OVER_BUDGET_CLASS);
+
+            Array.prototype.slice.call(node.classList).forEach(function(className) {
+                if (className.indexOf(self.PROJECT_CLASS) === 0 || className.indexOf(self.RULE_CLASS) === 0) {
+                    node.classList.remove(className);
+                }
+            });
+        });
+
+        return this;
+    },
+
+    /**
+     * Generate project and highlight rule styles and insert them into the document
+     *
+     * An existing generated stylesheet is replaced. Rule styles follow project styles, so that they take precedence.
+     * Colors are adjusted for the current theme.
+     *
+     * @method _renderStyles
+     * @param {Object} settings User settings
+     * @private
+     * @chainable
+     */
+    _renderStyles: function(settings) {
+        var style = document.getElementById(this.STYLE_ID);
+        var theme = Theme.resolve(settings.theme);
+
+        if ( ! style) {
+            style = document.createElement('style');
+            style.setAttribute('id', this.STYLE_ID);
+            (document.head || document.body).appendChild(style);
+        }
+
+        style.textContent = [
+            this._styles(settings.projects, theme),
+            this._ruleStyles(settings.highlights || [], theme)
+        ].join('\n');
+
+        return this;
+    },
+
+    /**
+     * Build CSS rules for project highlight colors
+     *
+     * @method _styles
+     * @param {Object[]} projects Project configurations
+     * @param {String} [theme] Theme name
+     * @return {String} CSS rules
+     * @private
+     */
+    _styles: function(projects, theme) {
+        var self = this;
+
+        return projects.map(function(project, index) {
+            if ( ! self._isColor(project.color)) {
+                return '';
+            }
+
+            return '.data_table tr.' + self.PROJECT_CLASS + index + ' td { background-color: ' + Theme.color(project.color, 'background', theme) + '; }';
+        }).join('\n');
+    },
+
+    /**
+     * Build CSS rules for highlight rule styles
+     *
+     * Rules with an invalid color are skipped, and unknown styles are treated as `fill`. `fill` colors are adjusted as
+     * backgrounds, and other styles as text.
+     *
+     * @method _ruleStyles
+     * @param {Object[]} rules Highlight rules
+     * @param {String} [theme] Theme name
+     * @return {String} CSS rules
+     * @private
+     */
+    _ruleStyles: function(rules, theme) {
+        var self = this;
+
+        return rules.map(function(rule, index) {
+            if ( ! self._isColor(rule.color)) {
+                return '';
+            }
+
+            var style = self.RULE_STYLES.hasOwnProperty(rule.style) ? rule.style : 'fill';
+
+            return Template.render(self.RULE_STYLES[style], {
+                className: self.RULE_CLASS + index,
+                color: Theme.color(rule.color, style === 'fill' ? 'background' : 'text', theme)
+            }, true);
+        }).join('\n');
+    },
+
+    /**
+     * Check for a hex color, safe to insert into a stylesheet
+     *
+     * @method _isColor
+     * @param {String} color
+     * @return {Boolean}
+     * @private
+     */
+    _isColor: function(color) {
+        return (/^#[0-9a-f]{3}([0-9a-f]{3})?$/i).test(color);
+    }
+};
+
+/**
+ * Summary and entry export
+ *
+ * Files are generated client-side and downloaded from the page
+ *
+ * @class Export
+ * @static
+ */
+var Export = {
+    /**
+     * Entry fields, in exported column order
+     *
+     * @property ENTRY_COLUMNS
+     * @type String[]
+     * @static
+     * @final
+     */
+    ENTRY_COLUMNS: ['day', 'startTime', 'endTime', 'hours', 'client', 'project', 'notes', 'category'],
+
+    /**
+     * Total fields, in exported column order
+     *
+     * @property TOTAL_COLUMNS
+     * @type String[]
+     * @static
+     * @final
+     */
+    TOTAL_COLUMNS: ['project', 'category', 'hours'],
+
+    /**
+     * Prefix for downloaded file names
+     *
+     * @property FILE_PREFIX
+     * @type String
+     * @static
+     * @final
+     * @default 'admin-helper'
+     */
+    FILE_PREFIX: 'admin-helper',
+
+    /**
+     * Export and download entries in a given format
+     *
+     * @method run
+     * @param {String} format One of `totals-csv`, `entries-csv` or `json`
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @chainable
+     */
+    run: function(format, entries, settings) {
+        var totals = this.totals(entries, settings);
+        var records = this.entries(entries, settings);
+
+        if (format === 'totals-csv') {
+            this.download(this.filename(entries, 'totals', 'csv'), this.csv(this.TOTAL_COLUMNS, totals), 'text/csv');
+        } else if (format === 'entries-csv') {
+            this.download(this.filename(entries, 'entries', 'csv'), this.csv(this.ENTRY_COLUMNS, records), 'text/csv');
+        } else if (format === 'json') {
+            this.download(this.filename(entries, 'summary', 'json'), JSON.stringify({totals: totals, entries: records}, null, 2), 'application/json');
+        }
+
+        return this;
+    },
+
+    /**
+     * Categorized totals as flat records
+     *
+     * @method totals
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @return {Object[]} Records with `project`, `category` and `hours`
+     */
+    totals: function(entries, settings) {
+        var totals = Categorize.totals(entries, settings);
+        var records = [];
+
+        for (var project in totals) {
+            if (totals.hasOwnProperty(project)) {
+                for (var category in totals[project]) {
+                    if (totals[project].hasOwnProperty(category)) {
+                        records.push({
+                            project: project,
+                            category: category,
+                            hours: this._round(totals[project][category])
+                        });
+                    }
+                }
+            }
+        }
+
+        return records;
+    },
+
+    /**
+     * Summarized entries as flat records, with their category
+     *
+     * @method entries
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @return {Object[]} Records with `ENTRY_COLUMNS` fields
+     */
+    entries: function(entries, settings) {
+        var self = this;
+        var records = [];
+
+        Categorize.each(entries, settings, function(project, category, entry) {
+            var record = {};
+
+            self.ENTRY_COLUMNS.forEach(function(column) {
+                record[column] = entry[column];
+            });
+            record.category = category;
+
+            records.push(record);
+        });
+
+        return records;
+    },
+
+    /**
+     * Generate CSV with a header row
+     *
+     * @method csv
+     * @param {String[]} columns Record fields to include
+     * @param {Object[]} records
+     * @return {String} CSV content
+     * @example
+     *     Export.csv(['category', 'hours'], [{category: 'Hiring, interviews', hours: 1}]);
+     *     //> category,hours
+     *     //> "Hiring, interviews",1
+     */
+    csv: function(columns, records) {
+        var self = this;
+        var lines = [columns.map(this._csvField).join(',')];
+
+        records.forEach(function(record) {
+            lines.push(columns.map(function(column) {
+                return self._csvField(record[column]);
+            }).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Build a download file name, including the week ending date when known
+     *
+     * @method filename
+     * @param {Object[]} entries Parsed entries
+     * @param {String} name File description
+     * @param {String} extension
+     * @return {String}
+     */
+    filename: function(entries, name, extension) {
+        var parts = [this.FILE_PREFIX];
+        var weekEnding = entries.length ? entries[0].weekEnding : '';
+
+        if (weekEnding) {
+            parts.push(weekEnding.replace(/[^0-9a-z]+/gi, '-'));
+        }
+        parts.push(name);
+
+        return parts.join('-') + '.' + extension;
+    },
+
+    /**
+     * Download content as a file
+     *
+     * @method download
+     * @param {String} filename
+     * @param {String} content
+     * @param {String} type Content mime type
+     * @chainable
+     */
+    download: function(filename, content, type) {
+        var url = URL.createObjectURL(new Blob([content], {type: type + ';charset=utf-8'}));
+        var link = document.createElement('a');
+
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 0);
+
+        return this;
+    },
+
+    /**
+     * Quote a CSV field when it contains commas, quotes, line breaks or surrounding whitespace
+     *
+     * @method _csvField
+     * @param {*} value
+     * @return {String}
+     * @private
+     */
+    _csvField: function(value) {
+        value = value === undefined || value === null ? '' : String(value);
+
+        if (/[",\r\n]|^\s|\s$/.test(value)) {
+            return '"' + value.replace(/"/g, '""') + '"';
+        }
+
+        return value;
+    },
+
+    /**
+     * Round hours to two decimal places, removing floating point noise
+     *
+     * @method _round
+     * @param {Number} hours
+     * @return {Number}
+     * @private
+     */
+    _round: function(hours) {
+        return Math.round(hours * 100) / 100;
+    }
+};
+
+/**
+ * Summary total formatters for copying to the clipboard
+ *
+ * Formats can be customized, or added, by changing `FORMATS`
+ *
+ * @class Formatter
+ * @static
+ */
+var Formatter = {
+    /**
+     * Available formats
+     *
+     * Each format has a `label`, a clipboard mime `type` and a `format` method, which
+     * receives total records (see `Export.totals`) and user settings, and returns a string. Labels are replaced by
+     * `format<Name>` messages, when the catalog has one. Header templates receive column headings for the current
+     * locale (see `_headings`).
+     *
+     * @property FORMATS
+     * @type Object
+     * @static
+     */
+    FORMATS: {
+        markdown: {
+            label: 'Markdown',
+            type: 'text/plain',
+            header: '| {project} | {category} | {hours} |\n| --- | --- | ---: |\n',
+            row: '| {project} | {category} | {hours} |\n',
+            format: function(records, settings) {
+                var self = this;
+                var escape = function(value) {
+                    return value.replace(/([\\|])/g, '\\$1');
+                };
+
+                return Template.render(this.header, Formatter._headings(escape), true) + records.map(function(record) {
+                    return Template.render(self.row, Formatter._fields(record, settings, escape), true);
+                }).join('');
+            }
+        },
+        text: {
+            label: 'Plain text',
+            type: 'text/plain',
+            columns: ['project', 'category', 'hours'],
+            format: function(records, settings) {
+                var rows = records.map(function(record) {
+                    return Formatter._fields(record, settings);
+                });
+
+                return Formatter._align(this.columns, Formatter._headings(), rows);
+            }
+        },
+        html: {
+            label: 'HTML table',
+            type: 'text/html',
+            header: '<table><thead><tr><th>{project}</th><th>{category}</th><th>{hours}</th></tr></thead><tbody>',
+            row: '<tr><td>{project}</td><td>{category}</td><td style="text-align: right">{hours}</td></tr>',
+            footer: '</tbody></table>',
+            format: function(records, settings) {
+                var self = this;
+
+                return Template.render(this.header, Formatter._headings()) + records.map(function(record) {
+                    return Template.render(self.row, Formatter._fields(record, settings));
+                }).join('') + this.footer;
+            }
+        }
+    },
+
+    /**
+     * Format total records
+     *
+     * @method format
+     * @param {String} name Format name
+     * @param {Object[]} records Total records, with `project`, `category` and `hours`
+     * @param {Object} [settings] User settings. Hours are formatted using the `hoursFormat` setting.
+     * @return {String} Formatted totals
+     * @example
+     *     Formatter.format('markdown', [{project: 'ADMIN', category: 'Hiring', hours: 1.5}]);
+     *     //> | Project | Category | Hours |
+     *     //> | --- | --- | ---: |
+     *     //> | ADMIN | Hiring | 1.50 |
+     */
+    format: function(name, records, settings) {
+        return this.FORMATS[name].format(records, settings);
+    },
+
+    /**
+     * Copy formatted totals to the clipboard
+     *
+     * Must be called from a user event handler. Rich formats are also copied as plain text.
+     *
+     * @method copy
+     * @param {String} name Format name
+     * @param {Object[]} records Total records
+     * @param {Object} [settings] User settings
+     * @return {Boolean} Whether the copy succeeded
+     */
+    copy: function(name, records, settings) {
+        var format = this.FORMATS[name];
+        var content = this.format(name, records, settings);
+        var plain = format.type === 'text/plain' ? content : this.format('text', records, settings);
+
+        var listener = function(event) {
+            event.clipboardData.setData('text/plain', plain);
+            if (format.type !== 'text/plain') {
+                event.clipboardData.setData(format.type, content);
+            }
+            event.preventDefault();
+        };
+
+        document.addEventListener('copy', listener);
+        try {
+            return document.execCommand('copy');
+        } finally {
+            document.removeEventListener('copy', listener);
+        }
+    },
+
+    /**
+     * Template fields for a total record
+     *
+     * Hours are formatted as in the summary
+     *
+     * @method _fields
+     * @param {Object} record Total record
+     * @param {Object} [settings] User settings
+     * @param {callback} [escape] Escapes text fields
+     * @return {Object} Display strings for `project`, `category` and `hours`
+     * @private
+     */
+    _fields: function(record, settings, escape) {
+        escape = escape || function(value) {
+            return value;
+        };
+
+        return {
+            project: escape(String(record.project)),
+            category: escape(String(record.category)),
+            hours: Hours.format(record.hours, settings && settings.hoursFormat)
+        };
+    },
+
+    /**
+     * Column headings for the current locale
+     *
+     * @method _headings
+     * @param {callback} [escape] Escapes headings
+     * @return {Object} Headings for `project`, `category` and `hours`
+     * @private
+     */
+    _headings: function(escape) {
+        escape = escape || function(value) {
+            return value;
+        };
+
+        return {
+            project: escape(I18n.message('dimensionProject')),
+            category: escape(I18n.message('dimensionCategory')),
+            hours: escape(I18n.message('columnHours'))
+        };
+    },
+
+    /**
+     * Align rows into space padded columns, with a header row
+     *
+     * The last column is right aligned
+     *
+     * @method _align
+     * @param {String[]} columns Column names
+     * @param {Object} header Column headings, by column
+     * @param {Object[]} rows Display strings, by column
+     * @return {String} Aligned text
+     * @private
+     */
+    _align: function(columns, header, rows) {
+        var widths = columns.map(function(column) {
+            return rows.reduce(function(width, row) {
+                return Math.max(width, row[column].length);
+            }, header[column].length);
+        });
+
+        return [header].concat(rows).map(function(row) {
+            return columns.map(function(column, index) {
+                var padding = new Array(widths[index] - row[column].length + 1).join(' ');
+
+                return index === columns.length - 1 ? padding + row[column] : row[column] + padding;
+            }).join('  ');
+        }).join('\n') + '\n';
+    }
+};
+
+/**
+ * Pivot tables of entry hours
+ *
+ * Entries are grouped by one or two row dimensions and a column dimension, with subtotals
+ *
+ * @class Pivot
+ * @static
+ */
+var Pivot = {
+    /**
+     * Available dimensions, as `dimension`: label message name pairs
+     *
+     * @property DIMENSIONS
+     * @type Object
+     * @static
+     * @final
+     */
+    DIMENSIONS: {
+        day: 'dimensionDay',
+        client: 'dimensionClient',
+        project: 'dimensionProject',
+        category: 'dimensionCategory'
+    },
+
+    /**
+     * Timesheet days, in display order
+     *
+     * Timesheet weeks end on Friday. Days missing from this list are displayed after it.
+     *
+     * @property DAYS
+     * @type String[]
+     * @static
+     * @final
+     */
+    DAYS: ['Saturday', 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+
+    /**
+     * Value for entries without a dimension value, such as the category of unsummarized projects
+     *
+     * @property NONE
+     * @type String
+     * @static
+     * @final
+     * @default '(none)'
+     */
+    NONE: '(none)',
+
+    /**
+     * Dimension value for display
+     *
+     * Days, `NONE` and uncategorized entries are translated. Days not in the message catalog are displayed as-is.
+     *
+     * @method label
+     * @param {String} dimension
+     * @param {String} key Dimension value
+     * @param {Boolean} [abbreviate] Whether to abbreviate days
+     * @return {String}
+     */
+    label: function(dimension, key, abbreviate) {
+        if (key === this.NONE) {
+            return I18n.message('pivotNone');
+        }
+
+        if (dimension === 'day') {
+            return abbreviate ? I18n.message('dayShort' + key, null, key.substr(0, 3)) : I18n.message('day' + key, null, key);
+        }
+
+        return dimension === 'category' ? Categorize.display(key) : key;
+    },
+
+    /**
+     * Convert entries to pivot records
+     *
+     * Entries with invalid hours are skipped. Categories are only set for summarized projects.
+     *
+     * @method records
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @return {Object[]} Records, with `day`, `client`, `project`, `category` and `hours`
+     */
+    records: function(entries, settings) {
+        var self = this;
+        var categorized = [];
+        var categories = [];
+
+        Categorize.each(entries, settings, function(project, category, entry) {
+            categorized.push(entry);
+            categories.push(category);
+        });
+
+        return entries.filter(function(entry) {
+            return ! isNaN(entry.hours);
+        }).map(function(entry) {
+            var index = categorized.indexOf(entry);
+
+            return {
+                day: entry.day || self.NONE,
+                client: entry.client || self.NONE,
+                project: entry.project || self.NONE,
+                category: index === -1 ? self.NONE : categories[index],
+                hours: entry.hours
+            };
+        });
+    },
+
+    /**
+     * Pivot layout from user settings
+     *
+     * Unknown dimensions are ignored, falling back to the default settings layout
+     *
+     * @method layout
+     * @param {Object} [settings] User settings
+     * @return {Object} Layout, with `rows` and `column` dimensions
+     */
+    layout: function(settings) {
+        var self = this;
+        var layout = (settings && settings.pivot) || {};
+        var rows = (layout.rows || []).filter(function(dimension, index, dimensions) {
+            return self.DIMENSIONS.hasOwnProperty(dimension) && dimensions.indexOf(dimension) === index;
+        }).slice(0, 2);
+
+        return {
+            rows: rows.length ? rows : Settings.DEFAULTS.pivot.rows.slice(),
+            column: this.DIMENSIONS.hasOwnProperty(layout.column) ? layout.column : Settings.DEFAULTS.pivot.column
+        };
+    },
+
+    /**
+     * Total record hours by row and column dimensions
+     *
+     * Each group of the first row dimension has its own subtotal. With a second row dimension, groups
+     * contain a row for each of its values. Day columns include every day of the week, even without records.
+     *
+     * @method table
+     * @param {Object[]} records Pivot records
+     * @param {Object} layout Layout, with `rows` and `column` dimensions
+     * @return {Object} Table, with `columns`, `groups`, column total `cells` and grand `total`
+     * @example
+     *     Pivot.table([{project: 'ADMIN', category: 'Hiring', day: 'Monday', hours: 1}], {rows: ['project', 'category'], column: 'day'});
+     *     //> {
+     *     //>     columns: ['Saturday', 'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+     *     //>     groups: [{key: 'ADMIN', cells: {Monday: 1}, total: 1, rows: [{key: 'Hiring', cells: {Monday: 1}, total: 1}]}],
+     *     //>     cells: {Monday: 1},
+     *     //>     total: 1
+     *     //> }
+     */
+    table: function(records, layout) {
+        var self = this;
+        var outer = layout.rows[0];
+        var inner = layout.rows[1];
+        var groups = {};
+        var table = {columns: this._columns(records, layout.column), groups: [], cells: {}, total: 0};
+
+        records.forEach(function(record) {
+            var column = record[layout.column];
+            var group = self._totals(groups, record[outer]);
+
+            self._add(table, column, record.hours);
+            self._add(group, column, record.hours);
+
+            if (inner) {
+                self._add(self._totals(group.rows, record[inner]), column, record.hours);
+            }
+        });
+
+        table.groups = this.keys(records, outer).map(function(key) {
+            var group = groups[key];
+
+            group.rows = inner ? self._sort(inner, Object.keys(group.rows)).map(function(row) {
+                return group.rows[row];
+            }) : [];
+
+            return group;
+        });
+
+        return table;
+    },
+
+    /**
+     * Distinct record values for a dimension, in display order
+     *
+     * Days are ordered by `DAYS`, and other values alphabetically, with `NONE` last
+     *
+     * @method keys
+     * @param {Object[]} records Pivot records
+     * @param {String} dimension
+     * @return {String[]}
+     */
+    keys: function(records, dimension) {
+        var keys = [];
+
+        records.forEach(function(record) {
+            if (keys.indexOf(record[dimension]) === -1) {
+                keys.push(record[dimension]);
+            }
+        });
+
+        return this._sort(dimension, keys);
+    },
+
+    /**
+     * Column values for a dimension, in display order
+     *
+     * Day columns start from the full week, followed by any other days found in records
+     *
+     * @method _columns
+     * @param {Object[]} records Pivot records
+     * @param {String} dimension
+     * @return {String[]}
+     * @private
+     */
+    _columns: function(records, dimension) {
+        if (dimension !== 'day') {
+            return this.keys(records, dimension);
+        }
+
+        return this.keys(this.DAYS.map(function(day) {
+            return {day: day};
+        }).concat(records), dimension);
+    },
+
+    /**
+     * Sort dimension values for display
+     *
+     * @method _sort
+     * @param {String} dimension
+     * @param {String[]} keys Distinct values
+     * @return {String[]} Sorted values
+     * @private
+     */
+    _sort: function(dimension, keys) {
+        var self = this;
+        var rank = function(key) {
+            if (key === self.NONE) {
+                return Infinity;
+            }
+
+            var day = dimension === 'day' ? self.DAYS.indexOf(key) : -1;
+
+            return day === -1 ? self.DAYS.length : day;
+        };
+
+        return keys.map(function(key, index) {
+            return {key: key, index: index};
+        }).sort(function(a, b) {
+            var order = rank(a.key) - rank(b.key);
+
+            if (order === 0 && rank(a.key) === self.DAYS.length) {
+                order = dimension === 'day' ? a.index - b.index : a.key.localeCompare(b.key);
+            }
+
+            return order || a.index - b.index;
+        }).map(function(item) {
+            return item.key;
+        });
+    },
+
+    /**
+     * Find or create a totals object by key
+     *
+     * @method _totals
+     * @param {Object} totals Totals objects, by key
+     * @param {String} key
+     * @return {Object} Totals, with `key`, `cells`, `total` and `rows`
+     * @private
+     */
+    _totals: function(totals, key) {
+        if ( ! totals.hasOwnProperty(key)) {
+            totals[key] = {key: key, cells: {}, total: 0, rows: {}};
+        }
+
+        return totals[key];
+    },
+
+    /**
+     * Add hours to a column cell and total
+     *
+     * @method _add
+     * @param {Object} totals Totals, with `cells` and `total`
+     * @param {String} column Column key
+     * @param {Number} hours
+     * @private
+     */
+    _add: function(totals, column, hours) {
+        totals.cells[column] = (totals.cells.hasOwnProperty(column) ? totals.cells[column] : 0) + hours;
+        totals.total += hours;
+    }
+};
+
+/**
+ * Admin time summarizer class
+ *
+ * @class Summarize
+ * @static
+ */
+var Summarize = {
+    /**
+     * Summary output ID
+     *
+     * @property OUTPUT_ID
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper'
+     */
+    OUTPUT_ID: 'admin_helper',
+
+    /**
+     * Summary actions, as `format`: label message name pairs
+     *
+     * @property EXPORTS
+     * @type Object
+     * @static
+     * @final
+     */
+    EXPORTS: {
+        'totals-csv': 'exportTotalsCsv',
+        'entries-csv': 'exportEntriesCsv',
+        'json': 'exportJson'
+    },
+
+    /**
+     * Storage key for collapsed summary sections
+     *
+     * @property COLLAPSED_KEY
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_collapsed'
+     */
+    COLLAPSED_KEY: 'admin_helper_collapsed',
+
+    /**
+     * Storage key for the pivot table layout chosen on the timesheet
+     *
+     * @property PIVOT_KEY
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_pivot'
+     */
+    PIVOT_KEY: 'admin_helper_pivot',
+
+    /**
+     * Classname for rows contributing to a hovered category
+     *
+     * @property OUTLINE_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_outline'
+     */
+    OUTLINE_CLASS: 'admin_helper_outline',
+
+    /**
+     * Classname for rows hidden by a category filter
+     *
+     * @property HIDDEN_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_hidden'
+     */
+    HIDDEN_CLASS: 'admin_helper_hidden',
+
+    /**
+     * Classname for the category currently filtering the timesheet
+     *
+     * @property ACTIVE_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_active'
+     */
+    ACTIVE_CLASS: 'admin_helper_active',
+
+    /**
+     * Classname for collapsed summary sections
+     *
+     * @property COLLAPSED_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_collapsed'
+     */
+    COLLAPSED_CLASS: 'admin_helper_collapsed',
+
+    /**
+     * Attributes identifying summary controls, used to restore keyboard focus after the summary is refreshed
+     *
+     * @property FOCUS_ATTRIBUTES
+     * @type String[]
+     * @static
+     * @final
+     */
+    FOCUS_ATTRIBUTES: ['data-toggle', 'data-project', 'data-category', 'data-export', 'data-copy', 'data-pivot'],
+
+    /**
+     * Total admin entries by project and note field prefix
+     *
+     * Renders output above the page's mount point
+     *
+     * @method run
+     * @param {QueryResult} rows Rows to summarize
+     * @param {Object} [settings] User settings
+     * @param {Object[]} [entries] Parsed entries for `rows`
+     * @param {Object[]} [pageEntries] Parsed entries for all entry rows on the page
+     * @chainable
+     */
+    run: function(rows, settings, entries, pageEntries) {
+        entries = entries || TimesheetEntry.parseAll(rows);
+        settings = settings || Settings.DEFAULTS;
+
+        this.entries = entries;
+        this.settings = settings;
+
+        this._render(this.summary(entries, settings, pageEntries || Page.rows().toEntries()), settings);
+
+        return this;
+    },
+
+    /**
+     * Load collapsed summary sections and the pivot table layout, updating any summary already rendered
+     *
+     * @method setup
+     * @return {Promise} Resolves once collapsed sections and the pivot table layout have been loaded
+     */
+    setup: function() {
+        var self = this;
+
+        return Promise.all([Store.get(this.COLLAPSED_KEY, 'local'), Store.get(this.PIVOT_KEY)]).then(function(stored) {
+            self.collapsed = stored[0] || {};
+            self.layout = stored[1] || null;
+            self._renderLayout();
+            self._renderCollapsed();
+        });
+    },
+
+    /**
+     * Remove the summary, and any row outlines and filter
+     *
+     * @method teardown
+     * @chainable
+     */
+    teardown: function() {
+        var output = document.getElementById(this.OUTPUT_ID);
+
+        this.outline([]);
+        this.reset();
+
+        if (output) {
+            output.parentNode.removeChild(output);
+        }
+
+        return this;
+    },
+
+    /**
+     * Rows contributing to a category total
+     *
+     * @method rows
+     * @param {String} project Project code
+     * @param {String} category Category, as summarized
+     * @return {HTMLElement[]} Entry rows
+     */
+    rows: function(project, category) {
+        var rows = [];
+
+        Categorize.each(this.entries || [], this.settings || Settings.DEFAULTS, function(config, entryCategory, entry) {
+            if (config.code === project && entryCategory === category) {
+                rows.push(entry.row);
+            }
+        });
+
+        return rows;
+    },
+
+    /**
+     * Outline rows, removing previous outlines
+     *
+     * @method outline
+     * @param {HTMLElement[]} rows Rows to outline
+     * @chainable
+     */
+    outline: function(rows) {
+        var self = this;
+
+        Array.prototype.slice.call(document.getElementsByClassName(this.OUTLINE_CLASS)).forEach(function(row) {
+            row.classList.remove(self.OUTLINE_CLASS);
+        });
+
+        rows.forEach(function(row) {
+            row.classList.add(self.OUTLINE_CLASS);
+        });
+
+        return this;
+    },
+
+    /**
+     * Filter the timesheet to rows contributing to a category total, and scroll to the first of them
+     *
+     * The filter is reapplied when the summary is refreshed
+     *
+     * @method filter
+     * @param {String} project Project code
+     * @param {String} category Category, as summarized
+     * @chainable
+     */
+    filter: function(project, category) {
+        var rows = this.rows(project, category);
+
+        this.activeFilter = {project: project, category: category};
+        this._applyFilter();
+
+        if (rows.length && typeof rows[0].scrollIntoView === 'function') {
+            rows[0].scrollIntoView();
+        }
+
+        return this;
+    },
+
+    /**
+     * Show all timesheet rows, removing the category filter
+     *
+     * @method reset
+     * @chainable
+     */
+    reset: function() {
+        var self = this;
+
+        this.activeFilter = null;
+
+        Array.prototype.slice.call(document.getElementsByClassName(this.HIDDEN_CLASS)).forEach(function(row) {
+            row.classList.remove(self.HIDDEN_CLASS);
+        });
+
+        this._renderFilterState();
+
+        return this;
+    },
+
+    /**
+     * Hide timesheet rows not matching the active filter
+     *
+     * Filters no longer matching any rows are reset
+     *
+     * @method _applyFilter
+     * @private
+     * @chainable
+     */
+    _applyFilter: function() {
+        var self = this;
+        var rows = this.rows(this.activeFilter.project, this.activeFilter.category);
+
+        if ( ! rows.length) {
+            return this.reset();
+        }
+
+        Page.rows().forEach(function(row) {
+            row.classList.toggle(self.HIDDEN_CLASS, rows.indexOf(row) === -1);
+        });
+
+        this._renderFilterState();
+
+        return this;
+    },
+
+    /**
+     * Update the active category and reset control for the current filter
+     *
+     * @method _renderFilterState
+     * @private
+     * @chainable
+     */
+    _renderFilterState: function() {
+        var self = this;
+        var output = document.getElementById(this.OUTPUT_ID);
+        var filter = this.activeFilter;
+
+        if ( ! output) {
+            return this;
+        }
+
+        Array.prototype.forEach.call(output.querySelectorAll('[data-category]'), function(item) {
+            var active = !! filter &&
+                item.getAttribute('data-project') === filter.project &&
+                item.getAttribute('data-category') === filter.category;
+
+            item.classList.toggle(self.ACTIVE_CLASS, active);
+            item.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+
+        var status = output.querySelector('.admin_helper_filter');
+        var html = filter ? Template.render(
+            '{showing} <button type="button" data-reset="true">{reset}</button>',
+            {
+                showing: I18n.message('filterShowing', {project: filter.project, category: Categorize.display(filter.category)}),
+                reset: I18n.message('filterReset')
+            }
+        ) : '';
+
+        // The filter is a live region, so only changes are rendered, and announced
+        if (status.innerHTML !== html) {
+            status.innerHTML = html;
+        }
+
+        return this;
+    },
+
+    /**
+     * Summarize entries for display
+     *
+     * @method summary
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @param {Object[]} [allEntries] All entries on the timesheet, for the pivot table. Defaults to `entries`.
+     * @return {Object} Summary data, with `totals`, `labels` and `pivot` keys
+     */
+    summary: function(entries, settings, allEntries) {
+        return {
+            totals: this.totals(entries, settings),
+            labels: Categorize.labels(entries, settings),
+            pivot: Pivot.records(allEntries || entries, settings)
+        };
+    },
+
+    /**
+     * Total entry hours by project and note field prefix
+     *
+     * @method totals
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @return {Object} Totals as a `project`: {`type`: `hours`} object
+     * @example
+     *     Summarize.totals([{project: 'ADMIN', notes: 'Hiring: Interview', hours: 1}], settings);
+     *     //> {ADMIN: {Hiring: 1}}
+     */
+    totals: function(entries, settings) {
+        return Categorize.totals(entries, settings);
+    },
+
+    /**
+     * Create a new data object with formatted hour values
+     *
+     * Values are formatted using the `hoursFormat` setting, unless a number of decimal places is given
+     *
+     * @method _formatTotals
+     * @param {Object} totals Hour totals object to clone
+     * @param {Number} [decimals] Number of decimal places for new total object
+     * @returns {Object} Formatted totals object
+     * @private
+     */
+    _formatTotals: function(totals, decimals) {
+        var formattedTotals = {};
+        var options = decimals === undefined ? this.settings && this.settings.hoursFormat : {mode: 'decimal', precision: decimals};
+
+        for(var key in totals) {
+            if (totals.hasOwnProperty(key)) {
+                formattedTotals[key] = Hours.format(totals[key], options);
+            }
+        }
+
+        return formattedTotals;
+    },
+
+    /**
+     * Whether total summary data should be rendered on the page
+     *
+     * @method _shouldRender
+     * @param {Object} totals
+     * @returns {Boolean}
+     * @private
+     */
+    _shouldRender: function(totals) {
+        for(var item in totals) {
+            if (Object.prototype.hasOwnProperty.call(totals, item)) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Generate HTML for the pivot table and its layout controls
+     *
+     * @method _renderPivot
+     * @param {Object[]} records Pivot records
+     * @param {Object} layout Layout, with `rows` and `column` dimensions
+     * @return {String} Pivot HTML
+     * @private
+     */
+    _renderPivot: function(records, layout) {
+        return Template.render('<div class="admin_helper_pivot{collapsed}" data-section="pivot"><h3>{toggle}</h3><div class="admin_helper_pivot_controls">{rowsLabel} {row} {then} {group} {columnsLabel} {column}</div><div class="admin_helper_pivot_output">{table}</div></div>', {
+            collapsed: this._collapsed().pivot ? ' ' + this.COLLAPSED_CLASS : '',
+            toggle: this._renderToggle('pivot', I18n.message('pivotHeading')),
+            rowsLabel: Template._escape(I18n.message('pivotRows')),
+            then: Template._escape(I18n.message('pivotThen')),
+            columnsLabel: Template._escape(I18n.message('pivotColumns')),
+            row: this._renderDimensions('row', layout.rows[0]),
+            group: this._renderDimensions('group', layout.rows[1] || '', true),
+            column: this._renderDimensions('column', layout.column),
+            table: this._renderPivotTable(Pivot.table(records, layout), layout)
+        }, true);
+    },
+
+    /**
+     * Generate HTML for a pivot dimension select box
+     *
+     * @method _renderDimensions
+     * @param {String} name Layout control name
+     * @param {String} value Selected dimension
+     * @param {Boolean} [optional] Whether no dimension may be selected
+     * @return {String} Select HTML
+     * @private
+     */
+    _renderDimensions: function(name, value, optional) {
+        return Template.render('<select data-pivot="{name}">{#if optional}<option value="">&mdash;</option>{/if}{#each dimensions}<option value="{dimension}"{#if selected} selected{/if}>{label}</option>{/each}</select>', {
+            name: name,
+            optional: optional,
+            dimensions: Object.keys(Pivot.DIMENSIONS).map(function(dimension) {
+                return {dimension: dimension, label: I18n.message(Pivot.DIMENSIONS[dimension]), selected: dimension === value};
+            })
+        });
+    },
+
+    /**
+     * Generate HTML for a pivot table, with group subtotals, column totals and a grand total
+     *
+     * @method _renderPivotTable
+     * @param {Object} table Pivot table
+     * @param {Object} layout Layout, with `rows` and `column` dimensions
+     * @return {String} Table HTML
+     * @private
+     */
+    _renderPivotTable: function(table, layout) {
+        var self = this;
+        var row = function(totals, dimension, className) {
+            return Template.render('<tr{attributes}><th scope="row">{key}</th>{cells}{total}</tr>', {
+                attributes: className ? Template.render(' class="{className}"', {className: className}) : '',
+                key: Template._escape(dimension ? Pivot.label(dimension, totals.key) : totals.key),
+                cells: table.columns.map(function(column) {
+                    return self._renderCell(totals.cells[column] || 0);
+                }).join(''),
+                total: self._renderCell(totals.total)
+            }, true);
+        };
+
+        var body = table.groups.map(function(group) {
+            return group.rows.length ? row(group, layout.rows[0], 'admin_helper_subtotal') + group.rows.map(function(nested) {
+                return row(nested, layout.rows[1], 'admin_helper_nested');
+            }).join('') : row(group, layout.rows[0]);
+        }).join('');
+
+        return Template.render('<table class="admin_helper_pivot_table"><thead><tr><td></td>{columns}<th scope="col">{total}</th></tr></thead><tbody>{body}</tbody><tfoot>{totals}</tfoot></table>', {
+            columns: table.columns.map(function(column) {
+                return Template.render('<th scope="col" title="{title}" aria-label="{title}">{label}</th>', {
+                    title: Pivot.label(layout.column, column),
+                    label: Pivot.label(layout.column, column, true)
+                });
+            }).join(''),
+            total: Template._escape(I18n.message('total')),
+            body: body,
+            totals: row({key: I18n.message('total'), cells: table.cells, total: table.total})
+        }, true);
+    },
+
+    /**
+     * Generate HTML for an hour table cell
+     *
+     * @method _renderCell
+     * @param {Number} hours
+     * @return {String} Table cell HTML
+     * @private
+     */
+    _renderCell: function(hours) {
+        return Template.render('<td class="admin_helper_hours">{hours}</td>', {
+            hours: this._formatTotals({hours: hours}).hours
+        });
+    },
+
+    /**
+     * Generate HTML for category total list items, including budget usage and merged labels
+     *
+     * @method _renderItems
+     * @param {Object} totals Category totals as a `type`: `hours` object
+     * @param {Object} [settings] User settings
+     * @param {Object} [labels] Raw labels as a `type`: [`label`] object
+     * @param {String} [project] Project code. When given, items are buttons filtering the timesheet, labelled with
+     *   spoken hours for screen readers.
+     * @return {String} List item HTML
+     * @private
+     */
+    _renderItems: function(totals, settings, labels, project) {
+        var self = this;
+        var formattedTotals = this._formatTotals(totals);
+
+        return Object.keys(totals).map(function(category) {
+            var budget = settings ? Budget.budget(settings, category) : null;
+            var status = budget === null ? null : Budget.status(totals[category], budget, settings.budgetWarning);
+            var attributes = status ? Template.render(' class="admin_helper_budget_{status}"', {status: status}) : '';
+
+            if (project !== undefined) {
+                attributes += Template.render(' data-project="{project}" data-category="{category}" title="{title}" role="button" tabindex="0" aria-pressed="false" aria-label="{label}"', {
+                    project: project,
+                    category: category,
+                    title: I18n.message('showMatchingRows'),
+                    label: I18n.message('categoryTotal', {
+                        category: Categorize.display(category),
+                        hours: Hours.spoken(totals[category])
+                    }) + (budget === null ? '' : ' ' + self._budgetText(totals[category], budget))
+                });
+            }
+
+            return Template.render('<li{attributes}>{category}: <span class="admin_helper_hours">{hours}</span>{budget}{merged}</li>', {
+                attributes: attributes,
+                category: Template._escape(Categorize.display(category)),
+                hours: formattedTotals[category],
+                budget: budget === null ? '' : self._renderBudget(totals[category], budget),
+                merged: labels ? self._renderMerged(category, labels[category] || []) : ''
+            }, true);
+        }).join('');
+    },
+
+    /**
+     * Generate HTML for budget usage
+     *
+     * @method _renderBudget
+     * @param {Number} hours Used hours
+     * @param {Number} budget Budgeted hours
+     * @return {String} Budget HTML
+     * @private
+     */
+    _renderBudget: function(hours, budget) {
+        return Template.render(' <span class="admin_helper_budget">{budget}</span>', {
+            budget: this._budgetText(hours, budget)
+        });
+    },
+
+    /**
+     * Describe budget usage
+     *
+     * @method _budgetText
+     * @param {Number} hours Used hours
+     * @param {Number} budget Budgeted hours
+     * @return {String}
+     * @private
+     */
+    _budgetText: function(hours, budget) {
+        var remaining = budget - hours;
+
+        return I18n.message(remaining < 0 ? 'budgetOver' : 'budgetRemaining', this._formatTotals({
+            budget: budget,
+            remaining: Math.abs(remaining)
+        }));
+    },
+
+    /**
+     * Generate HTML listing raw labels merged into a category
+     *
+     * Nothing is rendered when the only label matches the category
+     *
+     * @method _renderMerged
+     * @param {String} category
+     * @param {String[]} labels Raw labels
+     * @return {String} Merged label HTML
+     * @private
+     */
+    _renderMerged: function(category, labels) {
+        if (labels.length === 0 || (labels.length === 1 && labels[0] === category)) {
+            return '';
+        }
+
+        return Template.render(' <span class="admin_helper_merged">{merged}</span>', {
+            merged: I18n.message('mergedFrom', {
+                labels: labels.map(function(label) {
+                    return '"' + label + '"';
+                }).join(', ')
+            })
+        });
+    },
+
+    /**
+     * Generate HTML for export and copy actions
+     *
+     * @method _renderActions
+     * @return {String} Action HTML
+     * @private
+     */
+    _renderActions: function() {
+        var exports = {};
+        var formats = {};
+        var name;
+
+        for (name in this.EXPORTS) {
+            if (this.EXPORTS.hasOwnProperty(name)) {
+                exports[name] = I18n.message(this.EXPORTS[name]);
+            }
+        }
+
+        for (name in Formatter.FORMATS) {
+            if (Formatter.FORMATS.hasOwnProperty(name)) {
+                formats[name] = I18n.message('format' + name.charAt(0).toUpperCase() + name.substr(1), null, Formatter.FORMATS[name].label);
+            }
+        }
+
+        return Template.render('<div class="admin_helper_actions">{exportLabel} {#each exports}<button type="button" data-export="{@key}">{.}</button>{/each} {copyAs} <select class="admin_helper_copy_format">{#each formats}<option value="{@key}">{.}</option>{/each}</select><button type="button" data-copy="true">{copy}</button></div>', {
+            exportLabel: I18n.message('exportLabel'),
+            exports: exports,
+            copyAs: I18n.message('copyAs'),
+            formats: formats,
+            copy: I18n.message('copy')
+        });
+    },
+
+    /**
+     * Generate HTML for a section collapse toggle
+     *
+     * @method _renderToggle
+     * @param {String} section Section key
+     * @param {String} label
+     * @return {String} Button HTML
+     * @private
+     */
+    _renderToggle: function(section, label) {
+        return Template.render('<button type="button" class="admin_helper_toggle" data-toggle="{section}" aria-expanded="{expanded}">{label}</button>', {
+            section: section,
+            expanded: this._collapsed()[section] ? 'false' : 'true',
+            label: label
+        });
+    },
+
+    /**
+     * Collapsed summary sections
+     *
+     * Sections are expanded until stored state has been loaded by `setup`
+     *
+     * @method _collapsed
+     * @return {Object} Collapsed state, by section key
+     * @private
+     */
+    _collapsed: function() {
+        this.collapsed = this.collapsed || {};
+
+        return this.collapsed;
+    },
+
+    /**
+     * Pivot table layout
+     *
+     * The layout chosen on the timesheet is used once loaded by `setup`, and the `pivot` setting until then
+     *
+     * @method _layout
+     * @param {Object} [settings] User settings
+     * @return {Object} Layout, with `rows` and `column` dimensions
+     * @private
+     */
+    _layout: function(settings) {
+        return Pivot.layout(this.layout ? {pivot: this.layout} : settings);
+    },
+
+    /**
+     * Replace the rendered pivot table and its layout controls to match the current layout
+     *
+     * @method _renderLayout
+     * @private
+     * @chainable
+     */
+    _renderLayout: function() {
+        var output = document.getElementById(this.OUTPUT_ID);
+        var pivot = output && output.querySelector('.admin_helper_pivot');
+
+        if (pivot) {
+            pivot.outerHTML = this._renderPivot(this.records || [], this._layout(this.settings));
+        }
+
+        return this;
+    },
+
+    /**
+     * Collapse or expand rendered summary sections to match their state
+     *
+     * @method _renderCollapsed
+     * @private
+     * @chainable
+     */
+    _renderCollapsed: function() {
+        var self = this;
+        var output = document.getElementById(this.OUTPUT_ID);
+        var collapsed = this._collapsed();
+
+        if ( ! output) {
+            return this;
+        }
+
+        Array.prototype.forEach.call(output.querySelectorAll('[data-section]'), function(container) {
+            var section = container.getAttribute('data-section');
+            var button = container.querySelector('[data-toggle]');
+
+            container.classList.toggle(self.COLLAPSED_CLASS, !! collapsed[section]);
+
+            if (button) {
+                button.setAttribute('aria-expanded', collapsed[section] ? 'false' : 'true');
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Collapse or expand a summary section, persisting its state
+     *
+     * @method _toggle
+     * @param {HTMLElement} button Section toggle
+     * @return {Promise} Resolves once the state has been stored
+     * @private
+     */
+    _toggle: function(button) {
+        var section = button.getAttribute('data-toggle');
+        var container = button.parentNode.parentNode;
+        var collapsed = this._collapsed();
+
+        collapsed[section] = ! container.classList.contains(this.COLLAPSED_CLASS);
+
+        if ( ! collapsed[section]) {
+            delete collapsed[section];
+        }
+
+        container.classList.toggle(this.COLLAPSED_CLASS, !! collapsed[section]);
+        button.setAttribute('aria-expanded', collapsed[section] ? 'false' : 'true');
+
+        return Store.set(this.COLLAPSED_KEY, collapsed, 'local').then(null, function(e) {
+            console.error('AdminHelper: could not store collapsed summary sections', e);
+        });
+    },
+
+    /**
+     * Find the summary category item containing an event target
+     *
+     * @method _item
+     * @param {Event} event
+     * @return {HTMLElement|null} Category item
+     * @private
+     */
+    _item: function(event) {
+        for (var node = event.target; node && node !== event.currentTarget; node = node.parentNode) {
+            if (node.hasAttribute && node.hasAttribute('data-category')) {
+                return node;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Outline rows for the hovered category
+     *
+     * @method _onHover
+     * @param {Event} event
+     * @private
+     */
+    _onHover: function(event) {
+        var item = this._item(event);
+
+        this.outline(item ? this.rows(item.getAttribute('data-project'), item.getAttribute('data-category')) : []);
+    },
+
+    /**
+     * Handle clicks on summary actions, section toggles and categories
+     *
+     * Clicking the active category again removes the filter
+     *
+     * @method _onClick
+     * @param {Event} event
+     * @private
+     */
+    _onClick: function(event) {
+        var format = event.target.getAttribute('data-export');
+        var item = this._item(event);
+
+        if (event.target.hasAttribute('data-toggle')) {
+            return this._toggle(event.target);
+        }
+
+        if (event.target.hasAttribute('data-reset')) {
+            return this._reset(event.currentTarget);
+        }
+
+        if (item && item.classList.contains(this.ACTIVE_CLASS)) {
+            return this.reset();
+        }
+
+        if (item) {
+            return this.filter(item.getAttribute('data-project'), item.getAttribute('data-category'));
+        }
+
+        if ( ! this.entries) {
+            return;
+        }
+
+        if (format) {
+            Export.run(format, this.entries, this.settings);
+        } else if (event.target.hasAttribute('data-copy')) {
+            format = event.currentTarget.querySelector('.admin_helper_copy_format').value;
+            Formatter.copy(format, Export.totals(this.entries, this.settings), this.settings);
+        }
+    },
+
+    /**
+     * Handle keyboard use of the summary
+     *
+     * Enter and space activate the focused category, and escape removes the filter
+     *
+     * @method _onKeydown
+     * @param {Event} event
+     * @private
+     */
+    _onKeydown: function(event) {
+        var item = this._item(event);
+
+        if (event.key === 'Escape' && this.activeFilter) {
+            return this._reset(event.currentTarget);
+        }
+
+        if (item && item === event.target && (event.key === 'Enter' || event.key === ' ')) {
+            event.preventDefault();
+            this._onClick(event);
+        }
+    },
+
+    /**
+     * Remove the filter, moving keyboard focus from the removed reset control to the category which was active
+     *
+     * @method _reset
+     * @param {HTMLElement} output Summary output
+     * @private
+     */
+    _reset: function(output) {
+        var active = output.querySelector('.' + this.ACTIVE_CLASS);
+
+        this.reset();
+
+        if (active) {
+            active.focus();
+        }
+    },
+
+    /**
+     * Identify the focused summary control
+     *
+     * @method _focusKey
+     * @param {HTMLElement} output Summary output
+     * @return {Object|null} `FOCUS_ATTRIBUTES` values of the focused control, or null if nothing identifiable has focus
+     * @private
+     */
+    _focusKey: function(output) {
+        var node = document.activeElement;
+        var key = {};
+
+        if ( ! node || node === output || ! output.contains(node)) {
+            return null;
+        }
+
+        this.FOCUS_ATTRIBUTES.forEach(function(name) {
+            if (node.hasAttribute(name)) {
+                key[name] = node.getAttribute(name);
+            }
+        });
+
+        return Object.keys(key).length ? key : null;
+    },
+
+    /**
+     * Focus the control matching a focus key, or the summary heading if it no longer exists
+     *
+     * @method _restoreFocus
+     * @param {HTMLElement} output Summary output
+     * @param {Object} key Focus key, from `_focusKey`
+     * @private
+     */
+    _restoreFocus: function(output, key) {
+        var names = Object.keys(key);
+        var match = Array.prototype.filter.call(output.querySelectorAll('[' + names[0] + ']'), function(node) {
+            return names.every(function(name) {
+                return node.getAttribute(name) === key[name];
+            });
+        })[0];
+
+        (match || output.querySelector('h2')).focus();
+    },
+
+    /**
+     * Handle pivot layout changes, re-rendering the pivot table and storing the layout
+     *
+     * Only the layout is stored, under its own key, leaving other settings as they are
+     *
+     * @method _onChange
+     * @param {Event} event
+     * @return {Promise} Resolves once the layout has been stored
+     * @private
+     */
+    _onChange: function(event) {
+        if ( ! event.target.hasAttribute('data-pivot')) {
+            return Promise.resolve();
+        }
+
+        var output = event.currentTarget;
+        var row = output.querySelector('[data-pivot="row"]').value;
+        var group = output.querySelector('[data-pivot="group"]').value;
+        var layout = {
+            rows: group && group !== row ? [row, group] : [row],
+            column: output.querySelector('[data-pivot="column"]').value
+        };
+
+        this.layout = layout;
+        output.querySelector('.admin_helper_pivot_output').innerHTML = this._renderPivotTable(Pivot.table(this.records || [], layout), layout);
+
+        return Store.set(this.PIVOT_KEY, layout).then(null, function(e) {
+            console.error('AdminHelper: could not store the pivot table layout', e);
+        });
+    },
+
+    /**
+     * Generate HTML for hour output and insert into the DOM
+     *
+     * The summary is displayed when there are category totals or pivot records to show. It is a labelled region, with
+     * the filter state as a live region. Only the totals are replaced on later renders, keeping keyboard focus on the
+     * same control.
+     *
+     * @method _render
+     * @param {Object} summary Summary data
+     * @param {Object} summary.totals Summarized data as a `project`: {`type`: `hours`} object
+     * @param {Object} [summary.labels] Raw labels as a `project`: {`type`: [`label`]} object
+     * @param {Object[]} [summary.pivot] Pivot records
+     * @param {Object} [settings] User settings
+     * @private
+     * @chainable
+     */
+    _render: function(summary, settings) {
+        var entries = Page.mount();
+        var existing = document.getElementById(this.OUTPUT_ID);
+        var totals = summary.totals;
+        var labels = summary.labels || {};
+        var records = summary.pivot || [];
+        var collapsed = this._collapsed();
+        var sections = '';
+
+        for (var project in totals) {
+            if (totals.hasOwnProperty(project) && this._shouldRender(totals[project])) {
+                sections += Template.render('<div class="admin_helper_project{#if collapsed} {collapsedClass}{/if}" data-section="project:{project}"><h3>{toggle|raw}</h3><ul>{items|raw}</ul></div>', {
+                    collapsed: collapsed['project:' + project],
+                    collapsedClass: this.COLLAPSED_CLASS,
+                    project: project,
+                    toggle: this._renderToggle('project:' + project, project),
+                    items: this._renderItems(totals[project], settings, labels[project], project)
+                });
+            }
+        }
+
+        if (records.length) {
+            sections += this._renderPivot(records, this._layout(settings));
+        }
+
+        this.records = records;
+
+        if (existing && ! (entries && sections)) {
+            existing.parentNode.removeChild(existing);
+        }
+
+        if(entries && sections) {
+            var output = existing;
+            var focus = existing ? this._focusKey(existing) : null;
+
+            if ( ! output) {
+                output = document.createElement('section');
+                output.setAttribute('id', this.OUTPUT_ID);
+                output.setAttribute('aria-labelledby', this.OUTPUT_ID + '_heading');
+                output.className = AdminHelper.OUTPUT_CLASS;
+                output.innerHTML = Template.render('<h2 id="{id}_heading" tabindex="-1"></h2><div class="admin_helper_filter" role="status"></div><div class="admin_helper_content"></div>', {
+                    id: this.OUTPUT_ID
+                });
+                output.addEventListener('click', this._onClick.bind(this));
+                output.addEventListener('change', this._onChange.bind(this));
+                output.addEventListener('keydown', this._onKeydown.bind(this));
+                output.addEventListener('mouseover', this._onHover.bind(this));
+                output.addEventListener('focusin', this._onHover.bind(this));
+                output.addEventListener('mouseleave', this.outline.bind(this, []));
+                output.addEventListener('focusout', this.outline.bind(this, []));
+                entries.parentNode.insertBefore(output, entries);
+            }
+
+            output.querySelector('h2').textContent = I18n.message('summaryHeading');
+            output.querySelector('.admin_helper_content').innerHTML = sections + this._renderActions();
+
+            if (this.activeFilter) {
+                this._applyFilter();
+            }
+
+            if (focus) {
+                this._restoreFocus(output, focus);
+            }
+        }
+        return this;
+    }
+};
+
+/**
+ * Timesheet consistency checks
+ *
+ * Flags entries with hours not matching their times, invalid hours or times, and overlaps
+ * or gaps between entries on the same day
+ *
+ * @class Validate
+ * @static
+ */
+var Validate = {
+    /**
+     * Classname to add to rows with problems
+     *
+     * @property PROBLEM_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_problem'
+     */
+    PROBLEM_CLASS: 'admin_helper_problem',
+
+    /**
+     * Classname for inline problem markers
+     *
+     * @property MARKER_CLASS
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_marker'
+     */
+    MARKER_CLASS: 'admin_helper_marker',
+
+    /**
+     * Problem list output ID
+     *
+     * @property OUTPUT_ID
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_problems'
+     */
+    OUTPUT_ID: 'admin_helper_problems',
+
+    /**
+     * Allowed difference, in hours, between entry hours and its time span
+     *
+     * @property TOLERANCE
+     * @type Number
+     * @static
+     * @final
+     * @default 0.01
+     */
+    TOLERANCE: 0.01,
+
+    /**
+     * Check all timed entries on the page, marking rows and listing problems
+     *
+     * Unlike other hooks, all entries are checked, as overlaps and gaps involve other projects
+     *
+     * @method run
+     * @param {QueryResult} [rows] Configured project rows, unused
+     * @param {Object} [settings] User settings, unused
+     * @param {Object[]} [entries] Parsed entries for `rows`, unused
+     * @param {Object[]} [pageEntries] Parsed entries for all entry rows on the page
+     * @chainable
+     */
+    run: function(rows, settings, entries, pageEntries) {
+        var problems = this.problems(pageEntries || Page.rows().toEntries());
+
+        this._clear();
+        this._mark(problems);
+        this._render(problems);
+
+        return this;
+    },
+
+    /**
+     * Remove problem markers and the problem list
+     *
+     * @method teardown
+     * @chainable
+     */
+    teardown: function() {
+        this._clear();
+
+        var output = document.getElementById(this.OUTPUT_ID);
+
+        if (output) {
+            output.parentNode.removeChild(output);
+        }
+
+        return this;
+    },
+
+    /**
+     * Find problems with entries
+     *
+     * @method problems
+     * @param {Object[]} entries Parsed entries
+     * @return {Object[]} Problems, with `type`, `entry` and `message`
+     */
+    problems: function(entries) {
+        var self = this;
+        var problems = [];
+        var days = {};
+
+        entries.forEach(function(entry) {
+            var start = self.minutes(entry.startTime);
+            var end = self.minutes(entry.endTime);
+
+            if (isNaN(entry.hours)) {
+                problems.push(self._problem('hours', entry, I18n.message('problemHours')));
+            }
+
+            if (start === null || end === null) {
+                problems.push(self._problem('time', entry, I18n.message('problemTime')));
+                return;
+            }
+
+            if (end <= start) {
+                end += 24 * 60;
+            }
+
+            var span = (end - start) / 60;
+
+            if ( ! isNaN(entry.hours) && Math.abs(span - entry.hours) > self.TOLERANCE) {
+                problems.push(self._problem('span', entry, I18n.message('problemSpan', {
+                    hours: I18n.number(entry.hours),
+                    span: I18n.number(span, {maximumFractionDigits: 2})
+                })));
+            }
+
+            days[entry.day] = days[entry.day] || [];
+            days[entry.day].push({entry: entry, start: start, end: end});
+        });
+
+        Object.keys(days).forEach(function(day) {
+            problems = problems.concat(self._dayProblems(days[day]));
+        });
+
+        return problems;
+    },
+
+    /**
+     * Parse a time of day
+     *
+     * @method minutes
+     * @param {String} time Time, as `04:30PM`, `4:30 pm` or `16:30`
+     * @return {Number|null} Minutes since midnight, or null for invalid times
+     * @example
+     *     Validate.minutes('01:15PM');
+     *     //> 795
+     */
+    minutes: function(time) {
+        var match = /^(\d{1,2}):(\d{2})\s*([ap]m)?$/i.exec(time);
+
+        if ( ! match) {
+            return null;
+        }
+
+        var hours = parseInt(match[1], 10);
+        var minutes = parseInt(match[2], 10);
+        var meridiem = match[3] ? match[3].toLowerCase() : null;
+
+        if (minutes > 59 || hours > (meridiem ? 12 : 23) || (meridiem && hours === 0)) {
+            return null;
+        }
+
+        if (meridiem) {
+            hours = hours % 12 + (meridiem === 'pm' ? 12 : 0);
+        }
+
+        return hours * 60 + minutes;
+    },
+
+    /**
+     * Find overlaps and gaps between entries on the same day
+     *
+     * @method _dayProblems
+     * @param {Object[]} spans Entries with `start` and `end` minutes
+     * @return {Object[]} Problems
+     * @private
+     */
+    _dayProblems: function(spans) {
+        var self = this;
+        var problems = [];
+
+        spans.sort(function(a, b) {
+            return a.start - b.start;
+        });
+
+        spans.reduce(function(previous, span) {
+            if (span.start < previous.end) {
+                problems.push(self._problem('overlap', span.entry, I18n.message('problemOverlap', {
+                    start: previous.entry.startTime
+                })));
+            } else if (span.start > previous.end) {
+                problems.push(self._problem('gap', span.entry, I18n.message('problemGap', {
+                    end: previous.entry.endTime
+                })));
+            }
+
+            return span.end > previous.end ? span : previous;
+        });
+
+        return problems;
+    },
+
+    /**
+     * Build a problem
+     *
+     * @method _problem
+     * @param {String} type One of `hours`, `time`, `span`, `overlap` or `gap`
+     * @param {Object} entry Parsed entry
+     * @param {String} message
+     * @return {Object}
+     * @private
+     */
+    _problem: function(type, entry, message) {
+        return {
+            type: type,
+            entry: entry,
+            message: message
+        };
+    },
+
+    /**
+     * Remove problem classes and markers from a previous run
+     *
+     * @method _clear
+     * @private
+     * @chainable
+     */
+    _clear: function() {
+        var self = this;
+
+        Array.prototype.slice.call(document.getElementsByClassName(this.MARKER_CLASS)).forEach(function(marker) {
+            marker.parentNode.removeChild(marker);
+        });
+
+        Array.prototype.slice.call(document.getElementsByClassName(this.PROBLEM_CLASS)).forEach(function(row) {
+            row.classList.remove(self.PROBLEM_CLASS);
+        });
+
+        return this;
+    },
+
+    /**
+     * Add problem classes and inline markers to rows with problems
+     *
+     * @method _mark
+     * @param {Object[]} problems
+     * @private
+     * @chainable
+     */
+    _mark: function(problems) {
+        var self = this;
+        var messages = [];
+        var rows = [];
+
+        problems.forEach(function(problem) {
+            var index = rows.indexOf(problem.entry.row);
+
+            if (index === -1) {
+                index = rows.push(problem.entry.row) - 1;
+                messages[index] = [];
+            }
+
+            messages[index].push(problem.message);
+        });
+
+        rows.forEach(function(row, index) {
+            var cell = Xpath.find(Page.adapter().cells.hours, row) || row.cells[0];
+            var marker = document.createElement('span');
+
+            marker.className = self.MARKER_CLASS + ' ' + AdminHelper.OUTPUT_CLASS;
+            marker.setAttribute('title', messages[index].join('\n'));
+            marker.textContent = '!';
+
+            row.classList.add(self.PROBLEM_CLASS);
+
+            if (cell) {
+                cell.appendChild(marker);
+            }
+        });
+
+        return this;
+    },
+
+    /**
+     * Generate HTML for the problem list and add it to the summary
+     *
+     * When no summary is displayed, the list is displayed on its own
+     *
+     * @method _render
+     * @param {Object[]} problems
+     * @private
+     * @chainable
+     */
+    _render: function(problems) {
+        var existing = document.getElementById(this.OUTPUT_ID);
+        var summary = document.getElementById(Summarize.OUTPUT_ID);
+        var target = Page.mount();
+
+        if (existing) {
+            existing.parentNode.removeChild(existing);
+        }
+
+        if ( ! problems.length || ! (summary || target)) {
+            return this;
+        }
+
+        var output = document.createElement('div');
+        output.setAttribute('id', this.OUTPUT_ID);
+        output.className = AdminHelper.OUTPUT_CLASS;
+        output.innerHTML = Template.render('<h3>{heading}</h3><ul>{items}</ul>', {
+            heading: Template._escape(I18n.message('problemsHeading')),
+            items: problems.map(function(problem) {
+                return Template.render('<li class="admin_helper_problem_{type}">{day} {start}&ndash;{end}: {message}</li>', {
+                    type: problem.type,
+                    day: problem.entry.day,
+                    start: problem.entry.startTime,
+                    end: problem.entry.endTime,
+                    message: problem.message
+                });
+            }).join('')
+        }, true);
+
+        if (summary) {
+            summary.appendChild(output);
+        } else {
+            target.parentNode.insertBefore(output, target);
+        }
+
+        return this;
+    }
+};
+
+/**
+ * Persistent weekly category totals, with a trend view of recent weeks
+ *
+ * Snapshots are stored per user and week ending date. Revisiting a week replaces its snapshot.
+ *
+ * @class History
+ * @static
+ */
+var History = {
+    /**
+     * Storage key for persisted history
+     *
+     * @property STORAGE_KEY
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_history'
+     */
+    STORAGE_KEY: 'admin_helper_history',
+
+    /**
+     * Trend view output ID
+     *
+     * @property OUTPUT_ID
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_history'
+     */
+    OUTPUT_ID: 'admin_helper_history',
+
+    /**
+     * Trend characters, from lowest to highest
+     *
+     * @property SPARKS
+     * @type String
+     * @static
+     * @final
+     */
+    SPARKS: '\u2581\u2582\u2583\u2584\u2585\u2586\u2587\u2588',
+
+    /**
+     * Record the current week's totals and render the trend view
+     *
+     * Weeks are only recorded from the editable timesheet, so that reviewing someone else's week on a read-only page
+     * doesn't store their totals.
+     *
+     * @method run
+     * @param {QueryResult} rows Rows to summarize
+     * @param {Object} [settings] User settings
+     * @param {Object[]} [entries] Parsed entries for `rows`
+     * @return {Promise} Resolves once history has been recorded and the trend view rendered
+     */
+    run: function(rows, settings, entries) {
+        var self = this;
+        entries = entries || TimesheetEntry.parseAll(rows);
+        settings = settings || Settings.DEFAULTS;
+
+        var snapshot = this.snapshot(entries, settings);
+
+        if ( ! snapshot) {
+            return Promise.resolve();
+        }
+
+        var recording = ! Page.readOnly();
+
+        return this.load().then(function(history) {
+            if (recording) {
+                self.record(history, snapshot);
+            }
+
+            self._render(self.weeks(history, snapshot.user, settings.historyWeeks), settings);
+
+            return recording ? self.save(history) : undefined;
+        });
+    },
+
+    /**
+     * Remove the trend view
+     *
+     * @method teardown
+     * @chainable
+     */
+    teardown: function() {
+        var output = document.getElementById(this.OUTPUT_ID);
+
+        if (output) {
+            output.parentNode.removeChild(output);
+        }
+
+        return this;
+    },
+
+    /**
+     * Build a snapshot of category totals for the week
+     *
+     * @method snapshot
+     * @param {Object[]} entries Parsed entries
+     * @param {Object} settings User settings
+     * @return {Object|null} Snapshot with `weekEnding`, `user`, `totals` and `updated`, or null when the week is unknown
+     */
+    snapshot: function(entries, settings) {
+        var weekEnding = entries.length ? entries[0].weekEnding : '';
+
+        if ( ! weekEnding) {
+            return null;
+        }
+
+        return {
+            weekEnding: weekEnding,
+            user: entries[0].user,
+            totals: Categorize.totals(entries, settings),
+            updated: Date.now()
+        };
+    },
+
+    /**
+     * Add or replace a week's snapshot
+     *
+     * @method record
+     * @param {Object} history Snapshots by user and week ending date
+     * @param {Object} snapshot
+     * @return {Object} Updated history
+     */
+    record: function(history, snapshot) {
+        var weeks = history[snapshot.user] = history[snapshot.user] || {};
+        weeks[snapshot.weekEnding] = snapshot;
+
+        return history;
+    },
+
+    /**
+     * Most recent snapshots for a user, oldest first
+     *
+     * @method weeks
+     * @param {Object} history Snapshots by user and week ending date
+     * @param {String} user
+     * @param {Number} count Number of weeks
+     * @return {Object[]} Snapshots
+     */
+    weeks: function(history, user, count) {
+        var self = this;
+        var weeks = history[user] || {};
+
+        return Object.keys(weeks).sort(function(a, b) {
+            var aKey = self._sortKey(a);
+            var bKey = self._sortKey(b);
+
+            return aKey < bKey ? -1 : (aKey > bKey ? 1 : 0);
+        }).slice(-count).map(function(weekEnding) {
+            return weeks[weekEnding];
+        });
+    },
+
+    /**
+     * Weekly hours per project and category, aligned with the provided snapshots
+     *
+     * Weeks without hours for a category are zero
+     *
+     * @method trend
+     * @param {Object[]} snapshots
+     * @return {Object} Hours as a `project`: {`category`: [`hours`]} object
+     */
+    trend: function(snapshots) {
+        var trend = {};
+        var zero = function() {
+            return 0;
+        };
+
+        snapshots.forEach(function(snapshot, index) {
+            for (var project in snapshot.totals) {
+                if (snapshot.totals.hasOwnProperty(project)) {
+                    var projectTrend = trend[project] = trend[project] || {};
+
+                    for (var category in snapshot.totals[project]) {
+                        if (snapshot.totals[project].hasOwnProperty(category)) {
+                            if ( ! projectTrend[category]) {
+                                projectTrend[category] = snapshots.map(zero);
+                            }
+
+                            projectTrend[category][index] = snapshot.totals[project][category];
+                        }
+                    }
+                }
+            }
+        });
+
+        return trend;
+    },
+
+    /**
+     * Load stored history
+     *
+     * History is kept in the extension's local storage area, as it can outgrow sync storage quotas
+     *
+     * @method load
+     * @param {callback} [callback] Receives snapshots by user and week ending date
+     * @return {Promise} Resolves with snapshots by user and week ending date
+     */
+    load: function(callback) {
+        return Store.get(this.STORAGE_KEY, 'local').then(function(history) {
+            history = history || {};
+
+            if (typeof callback === 'function') {
+                callback(history);
+            }
+
+            return history;
+        });
+    },
+
+    /**
+     * Persist history
+     *
+     * @method save
+     * @param {Object} history Snapshots by user and week ending date
+     * @param {callback} [callback] Called once history has been written
+     * @return {Promise} Resolves once history has been written
+     */
+    save: function(history, callback) {
+        return Store.set(this.STORAGE_KEY, history, 'local').then(function() {
+            if (typeof callback === 'function') {
+                callback();
+            }
+        });
+    },
+
+    /**
+     * Render a sparkline for a series of hours
+     *
+     * @method sparkline
+     * @param {Number[]} values
+     * @return {String}
+     */
+    sparkline: function(values) {
+        var self = this;
+        var max = Math.max.apply(Math, values);
+
+        return values.map(function(value) {
+            var index = max > 0 ? Math.round(value / max * (self.SPARKS.length - 1)) : 0;
+
+            return self.SPARKS.charAt(index);
+        }).join('');
+    },
+
+    /**
+     * Sortable key for a MM/DD/YY week ending date
+     *
+     * @method _sortKey
+     * @param {String} weekEnding
+     * @return {String}
+     * @private
+     */
+    _sortKey: function(weekEnding) {
+        var parts = weekEnding.split('/');
+
+        return parts.length === 3 ? [parts[2], parts[0], parts[1]].join('/') : weekEnding;
+    },
+
+    /**
+     * Generate HTML for the trend view and insert it into the DOM
+     *
+     * Nothing is displayed until more than one week has been recorded
+     *
+     * @method _render
+     * @param {Object[]} snapshots Snapshots, oldest first
+     * @param {Object} [settings] User settings
+     * @private
+     * @chainable
+     */
+    _render: function(snapshots, settings) {
+        var self = this;
+        var format = settings && settings.hoursFormat;
+        var target = Page.mount();
+        var existing = document.getElementById(this.OUTPUT_ID);
+
+        if (existing) {
+            existing.parentNode.removeChild(existing);
+        }
+
+        if ( ! target || snapshots.length < 2) {
+            return this;
+        }
+
+        var trend = this.trend(snapshots);
+
+        var body = Object.keys(trend).map(function(project) {
+            return Object.keys(trend[project]).map(function(category) {
+                var hours = trend[project][category];
+
+                return Template.render('<tr><th scope="row">{project}</th><th scope="row">{category}</th>{cells}<td class="admin_helper_sparkline">{sparkline}</td></tr>', {
+                    project: Template._escape(project),
+                    category: Template._escape(Categorize.display(category)),
+                    cells: hours.map(function(value) {
+                        return Template.render('<td class="admin_helper_hours">{hours}</td>', {hours: Hours.format(value, format)});
+                    }).join(''),
+                    sparkline: self.sparkline(hours)
+                }, true);
+            }).join('');
+        }).join('');
+
+        var output = document.createElement('div');
+        output.setAttribute('id', this.OUTPUT_ID);
+        output.className = AdminHelper.OUTPUT_CLASS;
+        output.innerHTML = Template.render('<h3>{heading}</h3><table class="admin_helper_trend"><thead><tr><th>{project}</th><th>{category}</th>{weeks}<th>{trend}</th></tr></thead><tbody>{body}</tbody></table>', {
+            heading: Template._escape(I18n.message('historyHeading')),
+            project: Template._escape(I18n.message('dimensionProject')),
+            category: Template._escape(I18n.message('dimensionCategory')),
+            trend: Template._escape(I18n.message('historyTrend')),
+            weeks: snapshots.map(function(snapshot) {
+                return Template.render('<th>{week}</th>', {week: snapshot.weekEnding});
+            }).join(''),
+            body: body
+        }, true);
+
+        target.parentNode.insertBefore(output, target);
+
+        return this;
+    }
+};
+
+/**
+ * Quick-add control filling the timesheet's inline entry form from saved presets and learned categories
+ *
+ * @class QuickAdd
+ * @static
+ */
+var QuickAdd = {
+    /**
+     * Quick-add control output ID
+     *
+     * @property OUTPUT_ID
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_quick_add'
+     */
+    OUTPUT_ID: 'admin_helper_quick_add',
+
+    /**
+     * Project code for quick-add entries
+     *
+     * @property PROJECT
+     * @type String
+     * @static
+     * @final
+     * @default 'ADMIN'
+     */
+    PROJECT: 'ADMIN',
+
+    /**
+     * Xpath selectors for inline entry form fields, relative to the page's entry form
+     *
+     * @property FIELDS
+     * @type Object
+     * @static
+     * @final
+     */
+    FIELDS: {
+        project: './/*[self::select or self::input][contains(@name, "project")]',
+        hours: './/input[contains(@name, "hours")]',
+        notes: './/*[self::textarea or self::input][contains(@name, "notes")]'
+    },
+
+    /**
+     * Learn categories from recorded history and render the quick-add control
+     *
+     * @method run
+     * @param {QueryResult} rows Rows to summarize
+     * @param {Object} [settings] User settings
+     * @param {Object[]} [entries] Parsed entries for `rows`
+     * @return {Promise} Resolves once the quick-add control has been rendered
+     */
+    run: function(rows, settings, entries) {
+        var self = this;
+        entries = entries || TimesheetEntry.parseAll(rows);
+        settings = settings || Settings.DEFAULTS;
+
+        return History.load().then(function(history) {
+            self.available = self.choices(settings.presets || [], self.categories(history, self.user(entries), Categorize.totals(entries, settings)));
+            self._render(self.available);
+        });
+    },
+
+    /**
+     * Remove the quick-add control
+     *
+     * @method teardown
+     * @chainable
+     */
+    teardown: function() {
+        var output = document.getElementById(this.OUTPUT_ID);
+
+        if (output) {
+            output.parentNode.removeChild(output);
+        }
+
+        return this;
+    },
+
+    /**
+     * Current user, from the week's entries or the entry form
+     *
+     * @method user
+     * @param {Object[]} entries Parsed entries
+     * @param {HTMLElement} [form] Inline entry form, defaults to the page's entry form
+     * @return {String} User, or an empty string when unknown
+     */
+    user: function(entries, form) {
+        var input = Page.adapter().inputs.user;
+
+        if (entries.length) {
+            return entries[0].user;
+        }
+
+        form = form || Page.form();
+        input = form && input ? Xpath.find('.//input[@name=' + Xpath.literal(input) + ']', form) : null;
+
+        return input ? input.value : '';
+    },
+
+    /**
+     * Categories the user previously summarized for the quick-add project, sorted alphabetically
+     *
+     * Uncategorized entries are ignored
+     *
+     * @method categories
+     * @param {Object} history Snapshots by user and week ending date
+     * @param {String} user Current user
+     * @param {Object} [totals] Current week's hours as a `project`: {`category`: `hours`} object
+     * @return {String[]} Categories
+     */
+    categories: function(history, user, totals) {
+        var self = this;
+        var seen = {};
+        var add = function(projectTotals) {
+            Object.keys(projectTotals || {}).forEach(function(category) {
+                if (category !== Categorize.UNCATEGORIZED) {
+                    seen[category] = true;
+                }
+            });
+        };
+
+        var weeks = history.hasOwnProperty(user) ? history[user] : {};
+
+        Object.keys(weeks).forEach(function(weekEnding) {
+            add(weeks[weekEnding].totals[self.PROJECT]);
+        });
+
+        add(totals && totals[this.PROJECT]);
+
+        return Object.keys(seen).sort(function(a, b) {
+            return a.toLowerCase() < b.toLowerCase() ? -1 : (a.toLowerCase() > b.toLowerCase() ? 1 : 0);
+        });
+    },
+
+    /**
+     * Entries offered by the quick-add control
+     *
+     * Presets come first, followed by learned categories without a saved preset
+     *
+     * @method choices
+     * @param {Object[]} presets Presets, with `category`, `hours` and `notes`
+     * @param {String[]} categories Learned categories
+     * @return {Object[]} Choices, with `category`, `hours`, `notes` and whether each is a `preset`
+     */
+    choices: function(presets, categories) {
+        var choices = presets.map(function(preset) {
+            return {category: preset.category, hours: preset.hours, notes: preset.notes || '', preset: true};
+        });
+        var saved = presets.map(function(preset) {
+            return Categorize.normalize(preset.category);
+        });
+
+        categories.forEach(function(category) {
+            if (saved.indexOf(Categorize.normalize(category)) === -1) {
+                choices.push({category: category, hours: '', notes: '', preset: false});
+            }
+        });
+
+        return choices;
+    },
+
+    /**
+     * Notes for a quick-add entry, prefixed with its category
+     *
+     * @method notes
+     * @param {Object} choice Quick-add choice
+     * @return {String}
+     * @example
+     *     QuickAdd.notes({category: 'Recruiting', notes: 'Phone screen'});
+     *     //> 'Recruiting: Phone screen'
+     */
+    notes: function(choice) {
+        return choice.category + ': ' + (choice.notes || '');
+    },
+
+    /**
+     * Fill the inline entry form with a quick-add entry
+     *
+     * Hours are left unchanged when the choice has none. Input and change events are dispatched for each filled field,
+     * so that the timesheet's own form handling runs, and the notes field is focused for editing.
+     *
+     * @method fill
+     * @param {Object} choice Quick-add choice
+     * @param {HTMLElement} [form] Inline entry form, defaults to the page's entry form
+     * @return {Boolean} True if any form field was filled
+     */
+    fill: function(choice, form) {
+        var values = {
+            project: this.PROJECT,
+            hours: choice.hours === '' || choice.hours === undefined ? null : String(choice.hours),
+            notes: this.notes(choice)
+        };
+        var filled = false;
+
+        form = form || Page.form();
+
+        if ( ! form) {
+            return false;
+        }
+
+        for (var name in this.FIELDS) {
+            if (this.FIELDS.hasOwnProperty(name) && values[name] !== null) {
+                var field = Xpath.find(this.FIELDS[name], form);
+
+                if (field && this._setValue(field, values[name])) {
+                    filled = true;
+                }
+            }
+        }
+
+        var notes = Xpath.find(this.FIELDS.notes, form);
+
+        if (notes && typeof notes.focus === 'function') {
+            notes.focus();
+        }
+
+        return filled;
+    },
+
+    /**
+     * Set a form field value and notify page scripts of the change
+     *
+     * Select fields choose the option with a matching value or text, or text starting with the value
+     *
+     * @method _setValue
+     * @param {HTMLElement} field Form field
+     * @param {String} value
+     * @return {Boolean} False if a select field has no matching option
+     * @private
+     */
+    _setValue: function(field, value) {
+        if (field.tagName.toLowerCase() === 'select') {
+            var option = this._option(field, value);
+
+            if ( ! option) {
+                return false;
+            }
+
+            value = option.value;
+        }
+
+        field.value = value;
+
+        ['input', 'change'].forEach(function(type) {
+            var event = document.createEvent('HTMLEvents');
+            event.initEvent(type, true, false);
+            field.dispatchEvent(event);
+        });
+
+        return true;
+    },
+
+    /**
+     * Find the select option for a value
+     *
+     * @method _option
+     * @param {HTMLSelectElement} select
+     * @param {String} value
+     * @return {HTMLOptionElement|null}
+     * @private
+     */
+    _option: function(select, value) {
+        var options = Array.prototype.slice.call(select.options);
+        var exact = options.filter(function(option) {
+            return option.value === value || option.text.trim() === value;
+        });
+
+        return exact[0] || options.filter(function(option) {
+            return option.text.trim().indexOf(value) === 0;
+        })[0] || null;
+    },
+
+    /**
+     * Generate HTML for the quick-add control and insert it directly before the inline entry form
+     *
+     * Nothing is displayed on read-only pages, or when there are no presets or learned categories
+     *
+     * @method _render
+     * @param {Object[]} choices Quick-add choices
+     * @private
+     * @chainable
+     */
+    _render: function(choices) {
+        var target = Page.form();
+        var output = document.getElementById(this.OUTPUT_ID);
+
+        if ( ! target || ! choices.length) {
+            return this.teardown();
+        }
+
+        if ( ! output) {
+            output = document.createElement('div');
+            output.setAttribute('id', this.OUTPUT_ID);
+            output.className = AdminHelper.OUTPUT_CLASS;
+            output.addEventListener('change', this._onChange.bind(this));
+        }
+
+        output.innerHTML = Template.render(
+            '<label>{label} <select data-quick-add="true"><option value="">{choose}</option>' +
+            '{#if presets}<optgroup label="{presetsLabel}">{#each presets}<option value="{index}">{category}{#if notes}: {notes}{/if}{#if hours} {hours}{/if}</option>{/each}</optgroup>{/if}' +
+            '{#if categories}<optgroup label="{categoriesLabel}">{#each categories}<option value="{index}">{category}</option>{/each}</optgroup>{/if}' +
+            '</select></label>',
+            {
+                label: I18n.message('quickAddLabel'),
+                choose: I18n.message('quickAddChoose'),
+                presetsLabel: I18n.message('quickAddPresets'),
+                categoriesLabel: I18n.message('quickAddCategories'),
+                presets: this._indexed(choices, true),
+                categories: this._indexed(choices, false)
+            }
+        );
+
+        target.parentNode.insertBefore(output, target);
+
+        return this;
+    },
+
+    /**
+     * Presets or learned categories, with their index in `choices`
+     *
+     * @method _indexed
+     * @param {Object[]} choices Quick-add choices
+     * @param {Boolean} preset Whether to return presets or learned categories
+     * @return {Object[]} Matching choices for display, with formatted `hours` and `index`
+     * @private
+     */
+    _indexed: function(choices, preset) {
+        return choices.map(function(choice, index) {
+            return {
+                category: choice.category,
+                hours: choice.hours === '' || choice.hours === undefined ? '' : I18n.message('quickAddHours', {hours: I18n.number(choice.hours, {maximumFractionDigits: 2})}),
+                notes: choice.notes,
+                preset: choice.preset,
+                index: index
+            };
+        }).filter(function(choice) {
+            return choice.preset === preset;
+        });
+    },
+
+    /**
+     * Fill the inline entry form when a quick-add entry is chosen
+     *
+     * @method _onChange
+     * @param {Event} event
+     * @private
+     */
+    _onChange: function(event) {
+        var select = event.target;
+        var choice = this.available && this.available[select.value];
+
+        if (select.hasAttribute('data-quick-add') && choice) {
+            this.fill(choice);
+            select.value = '';
+        }
+    }
+};
+
+Page
+    .register('timesheet', {
+        url: /^https:\/\/mainframe\.nerdery\.com\/timesheet\.php/,
+        mount: '//*[@id="TSEntryInline"]',
+        form: '//*[@id="TSEntryInline"]'
+    })
+    .register('report', {
+        url: /^https:\/\/mainframe\.nerdery\.com\/timesheet_report\.php/,
+        inputs: {id: 'id'},
+        params: {user: 'user', weekEnding: 'week_ending'}
+    })
+    .register('approval', {
+        url: /^https:\/\/mainframe\.nerdery\.com\/timesheet_approval\.php/,
+        inputs: {id: 'id'},
+        params: {user: 'user', weekEnding: 'week_ending'}
+    });
+
+AdminHelper
+    .register('highlight', Highlight, {priority: 10})
+    .register('summarize', Summarize, {priority: 20})
+    .register('validate', Validate, {priority: 30})
+    .register('history', History, {priority: 40})
+    .register('quickAdd', QuickAdd, {priority: 50});
+
+Settings.load(function(settings) {
+    AdminHelper.init(settings);
+});
+
+AdminHelper.listen();
\ No newline at end of file
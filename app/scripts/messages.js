@@ -0,0 +1,363 @@
+'use strict';
+/* exported Messages, Locales */
+/**
+ * Admin Helper message catalog
+ *
+ * @module AdminHelper
+ */
+
+/**
+ * User interface messages, by locale and message name
+ *
+ * Messages may contain `{name}` placeholders, which are filled by `I18n.message`. Messages missing from a locale
+ * fall back to English. The options page uses the same catalogs, and `Locales` to choose one.
+ *
+ * @class Messages
+ * @static
+ */
+var Messages = {
+    /**
+     * English messages
+     *
+     * @property en
+     * @type Object
+     * @static
+     */
+    en: {
+        summaryHeading: 'Admin hours',
+        categoryTotal: '{category}: {hours}',
+        filterShowing: 'Showing {project} {category} rows',
+        filterReset: 'Show all rows',
+        showMatchingRows: 'Show matching rows',
+        pivotHeading: 'Breakdown',
+        pivotRows: 'Rows:',
+        pivotThen: 'then',
+        pivotColumns: 'Columns:',
+        pivotNone: '(none)',
+        total: 'Total',
+        dimensionDay: 'Day',
+        dimensionClient: 'Client',
+        dimensionProject: 'Project',
+        dimensionCategory: 'Category',
+        columnHours: 'Hours',
+        daySaturday: 'Saturday',
+        daySunday: 'Sunday',
+        dayMonday: 'Monday',
+        dayTuesday: 'Tuesday',
+        dayWednesday: 'Wednesday',
+        dayThursday: 'Thursday',
+        dayFriday: 'Friday',
+        dayShortSaturday: 'Sat',
+        dayShortSunday: 'Sun',
+        dayShortMonday: 'Mon',
+        dayShortTuesday: 'Tue',
+        dayShortWednesday: 'Wed',
+        dayShortThursday: 'Thu',
+        dayShortFriday: 'Fri',
+        categoryUncategorized: 'Uncategorized',
+        budgetRemaining: 'of {budget} ({remaining} remaining)',
+        budgetOver: 'of {budget} ({remaining} over)',
+        mergedFrom: '(from {labels})',
+        exportLabel: 'Export:',
+        exportTotalsCsv: 'Totals CSV',
+        exportEntriesCsv: 'Entries CSV',
+        exportJson: 'JSON',
+        copyAs: 'Copy as:',
+        copy: 'Copy',
+        formatMarkdown: 'Markdown',
+        formatText: 'Plain text',
+        formatHtml: 'HTML table',
+        hoursDuration: '{sign}{hours}:{minutes}',
+        hoursSpoken: '{hours} hours',
+        hoursSpokenOne: '{hours} hour',
+        problemsHeading: 'Timesheet problems',
+        problemHours: 'Hours are not a valid number',
+        problemTime: 'Start or end time is not a valid time',
+        problemSpan: '{hours} hours entered for a {span} hour time span',
+        problemOverlap: 'Overlaps the {start} entry',
+        problemGap: 'Gap since the previous entry ended at {end}',
+        historyHeading: 'Recent weeks',
+        historyTrend: 'Trend',
+        quickAddLabel: 'Quick add:',
+        quickAddChoose: 'Choose an entry…',
+        quickAddPresets: 'Presets',
+        quickAddCategories: 'Recent categories',
+        quickAddHours: '({hours}h)',
+        optionsTitle: 'Admin Helper Options',
+        optionsFeatures: 'Features',
+        pluginHighlight: 'Highlight rows',
+        pluginSummarize: 'Summary',
+        pluginValidate: 'Consistency checks',
+        pluginHistory: 'History',
+        pluginQuickAdd: 'Quick add',
+        optionsProjects: 'Project codes',
+        optionsProjectsHelp: 'Entries for these projects will be highlighted and summarized by note category.',
+        optionsProjectCode: 'Project code',
+        optionsHighlightColor: 'Highlight color',
+        optionsHighlight: 'Highlight',
+        optionsSummarize: 'Summarize',
+        optionsAddProject: 'Add project',
+        optionsBudgets: 'Weekly budgets',
+        optionsBudgetsHelp: 'Hours per week for each category, matching the note prefix before the first colon.',
+        optionsHoursPerWeek: 'Hours per week',
+        optionsAddBudget: 'Add budget',
+        optionsWarnAt: 'Warn at',
+        optionsWarnAtPercent: '% of a budget',
+        optionsAliases: 'Category aliases',
+        optionsAliasesHelp: 'Categories are matched regardless of case and extra spaces. Aliases merge other variants into one category.',
+        optionsLabel: 'Label',
+        optionsAddAlias: 'Add alias',
+        optionsRules: 'Categorization rules',
+        optionsRulesHelp: 'Entries without a category prefix are categorized by the first matching rule, or as Uncategorized.',
+        optionsType: 'Type',
+        optionsMatch: 'Match',
+        optionsAddRule: 'Add rule',
+        ruleKeyword: 'Keyword',
+        ruleRegex: 'Regular expression',
+        optionsHighlights: 'Highlight rules',
+        optionsHighlightsHelp: 'Entry rows are highlighted by the first matching rule, for any project. Rules take precedence over project colors.',
+        optionsField: 'Field',
+        optionsColor: 'Color',
+        optionsStyle: 'Style',
+        optionsAddHighlight: 'Add highlight rule',
+        highlightNotes: 'Notes (regular expression)',
+        highlightHours: 'Hours over',
+        highlightFill: 'Fill',
+        highlightText: 'Text',
+        highlightOutline: 'Outline',
+        optionsPresets: 'Quick-add presets',
+        optionsPresetsHelp: 'Presets fill the timesheet\'s new entry form with an ADMIN entry. Notes are prefixed with the category.',
+        optionsNotes: 'Notes',
+        optionsAddPreset: 'Add preset',
+        optionsHours: 'Hour display',
+        optionsHoursHelp: 'Totals are rounded for display only, so rounding doesn\'t add up across categories.',
+        optionsShowHoursAs: 'Show hours as',
+        hoursModeDecimal: 'Decimal',
+        hoursModeRounded: 'Rounded',
+        hoursModeDuration: 'Hours and minutes (h:mm)',
+        optionsHoursWith: 'with',
+        optionsDecimalPlaces: 'decimal places',
+        optionsRounded: 'rounded',
+        hoursDirectionNearest: 'to the nearest',
+        hoursDirectionUp: 'up to',
+        hoursDirectionDown: 'down to',
+        optionsHoursUnit: 'hours',
+        optionsLanguage: 'Language',
+        optionsShowSummaryIn: 'Show the summary in',
+        optionsBrowserLanguage: 'the browser\'s language',
+        optionsAppearance: 'Appearance',
+        optionsTheme: 'Theme',
+        themeAuto: 'Follow the operating system',
+        themeLight: 'Light',
+        themeDark: 'Dark',
+        themeContrast: 'High contrast',
+        optionsHistory: 'History',
+        optionsShowLast: 'Show the last',
+        optionsHistoryWeeks: 'weeks of category totals',
+        optionsSave: 'Save',
+        optionsSaved: 'Saved',
+        optionsMoveUp: 'Move up',
+        optionsRemove: 'Remove'
+    },
+
+    /**
+     * French messages
+     *
+     * @property fr
+     * @type Object
+     * @static
+     */
+    fr: {
+        summaryHeading: 'Heures admin',
+        categoryTotal: '{category} : {hours}',
+        filterShowing: 'Lignes {project} {category} affichées',
+        filterReset: 'Afficher toutes les lignes',
+        showMatchingRows: 'Afficher les lignes correspondantes',
+        pivotHeading: 'Répartition',
+        pivotRows: 'Lignes :',
+        pivotThen: 'puis',
+        pivotColumns: 'Colonnes :',
+        pivotNone: '(aucun)',
+        total: 'Total',
+        dimensionDay: 'Jour',
+        dimensionClient: 'Client',
+        dimensionProject: 'Projet',
+        dimensionCategory: 'Catégorie',
+        columnHours: 'Heures',
+        daySaturday: 'samedi',
+        daySunday: 'dimanche',
+        dayMonday: 'lundi',
+        dayTuesday: 'mardi',
+        dayWednesday: 'mercredi',
+        dayThursday: 'jeudi',
+        dayFriday: 'vendredi',
+        dayShortSaturday: 'sam.',
+        dayShortSunday: 'dim.',
+        dayShortMonday: 'lun.',
+        dayShortTuesday: 'mar.',
+        dayShortWednesday: 'mer.',
+        dayShortThursday: 'jeu.',
+        dayShortFriday: 'ven.',
+        categoryUncategorized: 'Sans catégorie',
+        budgetRemaining: 'sur {budget} ({remaining} restantes)',
+        budgetOver: 'sur {budget} ({remaining} de dépassement)',
+        mergedFrom: '(regroupe {labels})',
+        exportLabel: 'Exporter :',
+        exportTotalsCsv: 'Totaux CSV',
+        exportEntriesCsv: 'Entrées CSV',
+        exportJson: 'JSON',
+        copyAs: 'Copier en :',
+        copy: 'Copier',
+        formatMarkdown: 'Markdown',
+        formatText: 'Texte brut',
+        formatHtml: 'Tableau HTML',
+        hoursDuration: '{sign}{hours} h {minutes}',
+        hoursSpoken: '{hours} heures',
+        hoursSpokenOne: '{hours} heure',
+        problemsHeading: 'Problèmes de la feuille de temps',
+        problemHours: 'Les heures ne sont pas un nombre valide',
+        problemTime: 'L\'heure de début ou de fin n\'est pas valide',
+        problemSpan: '{hours} heures saisies pour une plage de {span} heures',
+        problemOverlap: 'Chevauche l\'entrée de {start}',
+        problemGap: 'Interruption depuis la fin de l\'entrée précédente à {end}',
+        historyHeading: 'Semaines récentes',
+        historyTrend: 'Tendance',
+        quickAddLabel: 'Ajout rapide :',
+        quickAddChoose: 'Choisir une entrée…',
+        quickAddPresets: 'Modèles',
+        quickAddCategories: 'Catégories récentes',
+        quickAddHours: '({hours} h)',
+        optionsTitle: 'Options d\'Admin Helper',
+        optionsFeatures: 'Fonctionnalités',
+        pluginHighlight: 'Surligner les lignes',
+        pluginSummarize: 'Résumé',
+        pluginValidate: 'Contrôles de cohérence',
+        pluginHistory: 'Historique',
+        pluginQuickAdd: 'Ajout rapide',
+        optionsProjects: 'Codes projet',
+        optionsProjectsHelp: 'Les entrées de ces projets sont surlignées et résumées par catégorie de note.',
+        optionsProjectCode: 'Code projet',
+        optionsHighlightColor: 'Couleur de surlignage',
+        optionsHighlight: 'Surligner',
+        optionsSummarize: 'Résumer',
+        optionsAddProject: 'Ajouter un projet',
+        optionsBudgets: 'Budgets hebdomadaires',
+        optionsBudgetsHelp: 'Heures par semaine pour chaque catégorie, d\'après le préfixe de la note avant les deux-points.',
+        optionsHoursPerWeek: 'Heures par semaine',
+        optionsAddBudget: 'Ajouter un budget',
+        optionsWarnAt: 'Avertir à',
+        optionsWarnAtPercent: '% d\'un budget',
+        optionsAliases: 'Alias de catégorie',
+        optionsAliasesHelp: 'Les catégories sont comparées sans tenir compte de la casse ni des espaces superflus. Les alias regroupent d\'autres variantes en une seule catégorie.',
+        optionsLabel: 'Libellé',
+        optionsAddAlias: 'Ajouter un alias',
+        optionsRules: 'Règles de catégorisation',
+        optionsRulesHelp: 'Les entrées sans préfixe de catégorie sont classées par la première règle correspondante, ou sans catégorie.',
+        optionsType: 'Type',
+        optionsMatch: 'Correspondance',
+        optionsAddRule: 'Ajouter une règle',
+        ruleKeyword: 'Mot-clé',
+        ruleRegex: 'Expression régulière',
+        optionsHighlights: 'Règles de surlignage',
+        optionsHighlightsHelp: 'Les lignes sont surlignées par la première règle correspondante, pour tous les projets. Les règles priment sur les couleurs des projets.',
+        optionsField: 'Champ',
+        optionsColor: 'Couleur',
+        optionsStyle: 'Style',
+        optionsAddHighlight: 'Ajouter une règle de surlignage',
+        highlightNotes: 'Notes (expression régulière)',
+        highlightHours: 'Heures supérieures à',
+        highlightFill: 'Fond',
+        highlightText: 'Texte',
+        highlightOutline: 'Contour',
+        optionsPresets: 'Modèles d\'ajout rapide',
+        optionsPresetsHelp: 'Les modèles remplissent le formulaire de nouvelle entrée avec une entrée ADMIN. Les notes sont préfixées par la catégorie.',
+        optionsNotes: 'Notes',
+        optionsAddPreset: 'Ajouter un modèle',
+        optionsHours: 'Affichage des heures',
+        optionsHoursHelp: 'Les totaux ne sont arrondis qu\'à l\'affichage, les arrondis ne s\'additionnent donc pas entre catégories.',
+        optionsShowHoursAs: 'Afficher les heures en',
+        hoursModeDecimal: 'Décimal',
+        hoursModeRounded: 'Arrondi',
+        hoursModeDuration: 'Heures et minutes (h:mm)',
+        optionsHoursWith: 'avec',
+        optionsDecimalPlaces: 'décimales',
+        optionsRounded: 'arrondi',
+        hoursDirectionNearest: 'au plus proche',
+        hoursDirectionUp: 'au supérieur',
+        hoursDirectionDown: 'à l\'inférieur',
+        optionsHoursUnit: 'heure',
+        optionsLanguage: 'Langue',
+        optionsShowSummaryIn: 'Afficher le résumé en',
+        optionsBrowserLanguage: 'langue du navigateur',
+        optionsAppearance: 'Apparence',
+        optionsTheme: 'Thème',
+        themeAuto: 'Suivre le système d\'exploitation',
+        themeLight: 'Clair',
+        themeDark: 'Sombre',
+        themeContrast: 'Contraste élevé',
+        optionsHistory: 'Historique',
+        optionsShowLast: 'Afficher les',
+        optionsHistoryWeeks: 'dernières semaines de totaux par catégorie',
+        optionsSave: 'Enregistrer',
+        optionsSaved: 'Enregistré',
+        optionsMoveUp: 'Monter',
+        optionsRemove: 'Supprimer'
+    }
+};
+
+/**
+ * Locale resolution, shared by the content script and the options page
+ *
+ * @class Locales
+ * @static
+ */
+var Locales = {
+    /**
+     * Locale used for missing messages and unsupported languages
+     *
+     * @property DEFAULT_LOCALE
+     * @type String
+     * @static
+     * @final
+     * @default 'en'
+     */
+    DEFAULT_LOCALE: 'en',
+
+    /**
+     * Browser languages, most preferred first
+     *
+     * @method languages
+     * @return {String[]}
+     */
+    languages: function() {
+        return Array.prototype.slice.call(navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language]);
+    },
+
+    /**
+     * First locale with messages from a list of language tags
+     *
+     * Tags match supported locales exactly or by their language, so `fr-CA` uses `fr` messages
+     *
+     * @method resolve
+     * @param {String[]} languages Language tags, most preferred first. Empty values are skipped.
+     * @return {String} Locale in `Messages`, or `DEFAULT_LOCALE`
+     */
+    resolve: function(languages) {
+        for (var i = 0, l = languages.length; i < l; i++) {
+            if (languages[i]) {
+                var tag = String(languages[i]).replace('_', '-');
+                var language = tag.split('-')[0].toLowerCase();
+
+                if (Messages.hasOwnProperty(tag)) {
+                    return tag;
+                }
+
+                if (Messages.hasOwnProperty(language)) {
+                    return language;
+                }
+            }
+        }
+
+        return this.DEFAULT_LOCALE;
+    }
+};
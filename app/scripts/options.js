@@ -0,0 +1,731 @@
+'use strict';
+/* global Browser, Settings, Locales, Messages */
+/**
+ * Admin Helper options page
+ *
+ * @module AdminHelper
+ */
+
+/**
+ * Options form controller
+ *
+ * @class Options
+ * @static
+ */
+var Options = {
+    /**
+     * Options form ID
+     *
+     * @property FORM_ID
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_options'
+     */
+    FORM_ID: 'admin_helper_options',
+
+    /**
+     * Load stored settings into the options form and bind form events
+     *
+     * @method init
+     * @param {HTMLFormElement} form Options form
+     */
+    init: function(form) {
+        var self = this;
+        this.form = form;
+        this._localize();
+
+        Settings.load(function(settings) {
+            self.settings = settings;
+            self._localize(settings.locale);
+
+            Array.prototype.forEach.call(form.querySelectorAll('[name="plugin"]'), function(input) {
+                input.checked = settings.plugins[input.value] !== false;
+            });
+
+            settings.projects.forEach(function(project) {
+                self._addProject(project);
+            });
+
+            for (var category in settings.budgets) {
+                if (settings.budgets.hasOwnProperty(category)) {
+                    self._addBudget(category, settings.budgets[category]);
+                }
+            }
+
+            form.querySelector('[name="budgetWarning"]').value = Math.round(settings.budgetWarning * 100);
+
+            for (var label in settings.aliases) {
+                if (settings.aliases.hasOwnProperty(label)) {
+                    self._addAlias(label, settings.aliases[label]);
+                }
+            }
+
+            settings.rules.forEach(function(rule) {
+                self._addRule(rule);
+            });
+
+            form.querySelector('[name="historyWeeks"]').value = settings.historyWeeks;
+            form.querySelector('[name="locale"]').value = settings.locale;
+            form.querySelector('[name="theme"]').value = settings.theme;
+
+            form.querySelector('[name="hoursMode"]').value = settings.hoursFormat.mode;
+            form.querySelector('[name="hoursPrecision"]').value = settings.hoursFormat.precision;
+            form.querySelector('[name="hoursIncrement"]').value = String(settings.hoursFormat.increment);
+            form.querySelector('[name="hoursDirection"]').value = settings.hoursFormat.direction;
+            self._toggleHoursFormat();
+
+            settings.highlights.forEach(function(highlight) {
+                self._addHighlight(highlight);
+            });
+
+            settings.presets.forEach(function(preset) {
+                self._addPreset(preset);
+            });
+        });
+
+        form.querySelector('.add_project').addEventListener('click', function() {
+            self._addProject({
+                code: '',
+                color: Settings.DEFAULTS.projects[0].color,
+                highlight: true,
+                summarize: true
+            });
+        });
+
+        form.querySelector('.add_budget').addEventListener('click', function() {
+            self._addBudget('', '');
+        });
+
+        form.querySelector('.add_alias').addEventListener('click', function() {
+            self._addAlias('', '');
+        });
+
+        form.querySelector('.add_rule').addEventListener('click', function() {
+            self._addRule({type: 'keyword', match: '', category: ''});
+        });
+
+        form.querySelector('.add_highlight').addEventListener('click', function() {
+            self._addHighlight({field: 'project', match: '', color: Settings.DEFAULTS.projects[0].color, style: 'fill'});
+        });
+
+        form.querySelector('.add_preset').addEventListener('click', function() {
+            self._addPreset({category: '', hours: '', notes: ''});
+        });
+
+        form.querySelector('[name="hoursMode"]').addEventListener('change', function() {
+            self._toggleHoursFormat();
+        });
+
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            self._save();
+        });
+    },
+
+    /**
+     * Append an editable project row to the form
+     *
+     * @method _addProject
+     * @param {Object} project Project configuration
+     * @private
+     * @chainable
+     */
+    _addProject: function(project) {
+        var row = document.createElement('tr');
+
+        row.appendChild(this._cell(this._input('text', 'code', project.code)));
+        row.appendChild(this._cell(this._input('color', 'color', project.color)));
+        row.appendChild(this._cell(this._input('checkbox', 'highlight', project.highlight)));
+        row.appendChild(this._cell(this._input('checkbox', 'summarize', project.summarize)));
+        row.appendChild(this._cell(this._removeButton(row)));
+
+        this.form.querySelector('.projects tbody').appendChild(row);
+
+        return this;
+    },
+
+    /**
+     * Append an editable category budget row to the form
+     *
+     * @method _addBudget
+     * @param {String} category Category label
+     * @param {Number|String} hours Budgeted hours per week
+     * @private
+     * @chainable
+     */
+    _addBudget: function(category, hours) {
+        var row = document.createElement('tr');
+        var hoursInput = this._input('number', 'hours', hours);
+        hoursInput.setAttribute('min', '0');
+        hoursInput.setAttribute('step', '0.25');
+
+        row.appendChild(this._cell(this._input('text', 'category', category)));
+        row.appendChild(this._cell(hoursInput));
+        row.appendChild(this._cell(this._removeButton(row)));
+
+        this.form.querySelector('.budgets tbody').appendChild(row);
+
+        return this;
+    },
+
+    /**
+     * Append an editable category alias row to the form
+     *
+     * @method _addAlias
+     * @param {String} label Label variant
+     * @param {String} category Canonical category
+     * @private
+     * @chainable
+     */
+    _addAlias: function(label, category) {
+        var row = document.createElement('tr');
+
+        row.appendChild(this._cell(this._input('text', 'label', label)));
+        row.appendChild(this._cell(this._input('text', 'category', category)));
+        row.appendChild(this._cell(this._removeButton(row)));
+
+        this.form.querySelector('.aliases tbody').appendChild(row);
+
+        return this;
+    },
+
+    /**
+     * Append an editable categorization rule row to the form
+     *
+     * @method _addRule
+     * @param {Object} rule Rule, with `type`, `match` and `category`
+     * @private
+     * @chainable
+     */
+    _addRule: function(rule) {
+        var row = document.createElement('tr');
+        var type = this._select('type', [['keyword', 'ruleKeyword'], ['regex', 'ruleRegex']], rule.type);
+
+        row.appendChild(this._cell(type));
+        row.appendChild(this._cell(this._input('text', 'match', rule.match)));
+        row.appendChild(this._cell(this._input('text', 'category', rule.category)));
+        row.appendChild(this._cell(this._moveUpButton(row)));
+        row.appendChild(this._cell(this._removeButton(row)));
+
+        this.form.querySelector('.rules tbody').appendChild(row);
+
+        return this;
+    },
+
+    /**
+     * Append an editable highlight rule row to the form
+     *
+     * @method _addHighlight
+     * @param {Object} highlight Highlight rule, with `field`, `match`, `color` and `style`
+     * @private
+     * @chainable
+     */
+    _addHighlight: function(highlight) {
+        var row = document.createElement('tr');
+        var field = this._select('field', [
+            ['project', 'dimensionProject'],
+            ['client', 'dimensionClient'],
+            ['category', 'dimensionCategory'],
+            ['notes', 'highlightNotes'],
+            ['hours', 'highlightHours']
+        ], highlight.field);
+        var style = this._select('style', [['fill', 'highlightFill'], ['text', 'highlightText'], ['outline', 'highlightOutline']], highlight.style);
+
+        row.appendChild(this._cell(field));
+        row.appendChild(this._cell(this._input('text', 'match', highlight.match)));
+        row.appendChild(this._cell(this._input('color', 'color', highlight.color)));
+        row.appendChild(this._cell(style));
+        row.appendChild(this._cell(this._moveUpButton(row)));
+        row.appendChild(this._cell(this._removeButton(row)));
+
+        this.form.querySelector('.highlights tbody').appendChild(row);
+
+        return this;
+    },
+
+    /**
+     * Append an editable quick-add preset row to the form
+     *
+     * @method _addPreset
+     * @param {Object} preset Quick-add preset, with `category`, `hours` and `notes`
+     * @private
+     * @chainable
+     */
+    _addPreset: function(preset) {
+        var row = document.createElement('tr');
+        var hoursInput = this._input('number', 'hours', preset.hours);
+        hoursInput.setAttribute('min', '0');
+        hoursInput.setAttribute('step', '0.25');
+
+        row.appendChild(this._cell(this._input('text', 'category', preset.category)));
+        row.appendChild(this._cell(hoursInput));
+        row.appendChild(this._cell(this._input('text', 'notes', preset.notes)));
+        row.appendChild(this._cell(this._moveUpButton(row)));
+        row.appendChild(this._cell(this._removeButton(row)));
+
+        this.form.querySelector('.presets tbody').appendChild(row);
+
+        return this;
+    },
+
+    /**
+     * Read project configurations from the form
+     *
+     * Rows without a project code, and repeated project codes, are ignored
+     *
+     * @method _projects
+     * @return {Object[]} Project configurations
+     * @private
+     */
+    _projects: function() {
+        var projects = [];
+        var seen = {};
+        var rows = this.form.querySelectorAll('.projects tbody tr');
+
+        for (var i = 0, l = rows.length; i < l; i++) {
+            var code = rows[i].querySelector('[name="code"]').value.trim();
+
+            if (code && ! seen.hasOwnProperty(code)) {
+                seen[code] = true;
+                projects.push({
+                    code: code,
+                    color: rows[i].querySelector('[name="color"]').value,
+                    highlight: rows[i].querySelector('[name="highlight"]').checked,
+                    summarize: rows[i].querySelector('[name="summarize"]').checked
+                });
+            }
+        }
+
+        return projects;
+    },
+
+    /**
+     * Read category budgets from the form
+     *
+     * Rows without a category or a valid number of hours are ignored
+     *
+     * @method _budgets
+     * @return {Object} Budgeted hours, by category
+     * @private
+     */
+    _budgets: function() {
+        var budgets = {};
+        var rows = this.form.querySelectorAll('.budgets tbody tr');
+
+        for (var i = 0, l = rows.length; i < l; i++) {
+            var category = rows[i].querySelector('[name="category"]').value.trim();
+            var hours = parseFloat(rows[i].querySelector('[name="hours"]').value);
+
+            if (category && hours >= 0) {
+                budgets[category] = hours;
+            }
+        }
+
+        return budgets;
+    },
+
+    /**
+     * Read category aliases from the form
+     *
+     * Rows without both a label and a category are ignored
+     *
+     * @method _aliases
+     * @return {Object} Canonical categories, by label variant
+     * @private
+     */
+    _aliases: function() {
+        var aliases = {};
+        var rows = this.form.querySelectorAll('.aliases tbody tr');
+
+        for (var i = 0, l = rows.length; i < l; i++) {
+            var label = rows[i].querySelector('[name="label"]').value.trim();
+            var category = rows[i].querySelector('[name="category"]').value.trim();
+
+            if (label && category) {
+                aliases[label] = category;
+            }
+        }
+
+        return aliases;
+    },
+
+    /**
+     * Read categorization rules from the form, in order
+     *
+     * Rows without both a match and a category are ignored
+     *
+     * @method _rules
+     * @return {Object[]} Rules, with `type`, `match` and `category`
+     * @private
+     */
+    _rules: function() {
+        var rules = [];
+        var rows = this.form.querySelectorAll('.rules tbody tr');
+
+        for (var i = 0, l = rows.length; i < l; i++) {
+            var match = rows[i].querySelector('[name="match"]').value;
+            var category = rows[i].querySelector('[name="category"]').value.trim();
+
+            if (match && category) {
+                rules.push({
+                    type: rows[i].querySelector('[name="type"]').value,
+                    match: match,
+                    category: category
+                });
+            }
+        }
+
+        return rules;
+    },
+
+    /**
+     * Read highlight rules from the form, in order
+     *
+     * Rows without a match are ignored
+     *
+     * @method _highlights
+     * @return {Object[]} Highlight rules, with `field`, `match`, `color` and `style`
+     * @private
+     */
+    _highlights: function() {
+        var highlights = [];
+        var rows = this.form.querySelectorAll('.highlights tbody tr');
+
+        for (var i = 0, l = rows.length; i < l; i++) {
+            var match = rows[i].querySelector('[name="match"]').value;
+
+            if (match.trim()) {
+                highlights.push({
+                    field: rows[i].querySelector('[name="field"]').value,
+                    match: match,
+                    color: rows[i].querySelector('[name="color"]').value,
+                    style: rows[i].querySelector('[name="style"]').value
+                });
+            }
+        }
+
+        return highlights;
+    },
+
+    /**
+     * Read quick-add presets from the form
+     *
+     * Rows without a category are ignored. Presets without valid hours leave the entry hours unchanged.
+     *
+     * @method _presets
+     * @return {Object[]} Presets, with `category`, `hours` and `notes`
+     * @private
+     */
+    _presets: function() {
+        var presets = [];
+        var rows = this.form.querySelectorAll('.presets tbody tr');
+
+        for (var i = 0, l = rows.length; i < l; i++) {
+            var category = rows[i].querySelector('[name="category"]').value.trim();
+            var hours = parseFloat(rows[i].querySelector('[name="hours"]').value);
+
+            if (category) {
+                presets.push({
+                    category: category,
+                    hours: isNaN(hours) || hours < 0 ? '' : hours,
+                    notes: rows[i].querySelector('[name="notes"]').value.trim()
+                });
+            }
+        }
+
+        return presets;
+    },
+
+    /**
+     * Read enabled plugins from the form
+     *
+     * @method _plugins
+     * @return {Object} Whether each plugin is enabled, by plugin name
+     * @private
+     */
+    _plugins: function() {
+        var plugins = {};
+
+        Array.prototype.forEach.call(this.form.querySelectorAll('[name="plugin"]'), function(input) {
+            plugins[input.value] = input.checked;
+        });
+
+        return plugins;
+    },
+
+    /**
+     * Read the budget warning threshold from the form
+     *
+     * @method _budgetWarning
+     * @return {Number} Fraction of a budget at which to warn
+     * @private
+     */
+    _budgetWarning: function() {
+        var percent = parseFloat(this.form.querySelector('[name="budgetWarning"]').value);
+
+        return isNaN(percent) ? Settings.DEFAULTS.budgetWarning : percent / 100;
+    },
+
+    /**
+     * Read the number of trend view weeks from the form
+     *
+     * @method _historyWeeks
+     * @return {Number}
+     * @private
+     */
+    _historyWeeks: function() {
+        var weeks = parseInt(this.form.querySelector('[name="historyWeeks"]').value, 10);
+
+        return weeks > 1 ? weeks : Settings.DEFAULTS.historyWeeks;
+    },
+
+    /**
+     * Read the hour display format from the form
+     *
+     * @method _hoursFormat
+     * @return {Object} Display format, with `mode`, `precision`, `increment` and `direction`
+     * @private
+     */
+    _hoursFormat: function() {
+        var precision = parseInt(this.form.querySelector('[name="hoursPrecision"]').value, 10);
+
+        return {
+            mode: this.form.querySelector('[name="hoursMode"]').value,
+            precision: precision >= 0 && precision <= 6 ? precision : Settings.DEFAULTS.hoursFormat.precision,
+            increment: parseFloat(this.form.querySelector('[name="hoursIncrement"]').value),
+            direction: this.form.querySelector('[name="hoursDirection"]').value
+        };
+    },
+
+    /**
+     * Only enable hour display inputs used by the selected mode
+     *
+     * @method _toggleHoursFormat
+     * @private
+     * @chainable
+     */
+    _toggleHoursFormat: function() {
+        var mode = this.form.querySelector('[name="hoursMode"]').value;
+
+        this.form.querySelector('[name="hoursPrecision"]').disabled = mode !== 'decimal';
+        this.form.querySelector('[name="hoursIncrement"]').disabled = mode !== 'rounded';
+        this.form.querySelector('[name="hoursDirection"]').disabled = mode !== 'rounded';
+
+        return this;
+    },
+
+    /**
+     * Persist form values
+     *
+     * Settings without form fields are kept as loaded. Open timesheets are notified, so that they apply the new
+     * settings without reloading.
+     *
+     * @method _save
+     * @private
+     */
+    _save: function() {
+        var self = this;
+        var status = this.form.querySelector('.status');
+        var settings = {};
+        var values = {
+            projects: this._projects(),
+            budgets: this._budgets(),
+            budgetWarning: this._budgetWarning(),
+            aliases: this._aliases(),
+            rules: this._rules(),
+            historyWeeks: this._historyWeeks(),
+            highlights: this._highlights(),
+            presets: this._presets(),
+            plugins: this._plugins(),
+            locale: this.form.querySelector('[name="locale"]').value,
+            theme: this.form.querySelector('[name="theme"]').value,
+            hoursFormat: this._hoursFormat()
+        };
+
+        [this.settings || {}, values].forEach(function(source) {
+            Object.keys(source).forEach(function(key) {
+                settings[key] = source[key];
+            });
+        });
+
+        Settings.save(settings, function() {
+            Browser.broadcast({type: Settings.CHANGED});
+
+            self._localize(settings.locale);
+            status.textContent = self._message('optionsSaved');
+            setTimeout(function() {
+                status.textContent = '';
+            }, 1500);
+        });
+    },
+
+    /**
+     * Translate the page into a locale
+     *
+     * Elements with a `data-message` attribute have their text replaced, and elements with a `data-message-title`
+     * attribute their title, with messages from `Messages`.
+     *
+     * @method _localize
+     * @param {String} [locale] Preferred locale, such as `fr` or `fr-CA`. Defaults to the browser's languages.
+     * @private
+     * @chainable
+     */
+    _localize: function(locale) {
+        var self = this;
+
+        this.locale = Locales.resolve([locale].concat(Locales.languages()));
+        document.documentElement.setAttribute('lang', this.locale);
+
+        Array.prototype.forEach.call(document.querySelectorAll('[data-message]'), function(element) {
+            element.textContent = self._message(element.getAttribute('data-message'));
+        });
+
+        Array.prototype.forEach.call(document.querySelectorAll('[data-message-title]'), function(element) {
+            element.setAttribute('title', self._message(element.getAttribute('data-message-title')));
+        });
+
+        return this;
+    },
+
+    /**
+     * Find a message for the current locale, falling back to English
+     *
+     * @method _message
+     * @param {String} name Message name
+     * @return {String} Message, or the message name when missing
+     * @private
+     */
+    _message: function(name) {
+        var messages = Messages[this.locale] || {};
+
+        if (messages.hasOwnProperty(name)) {
+            return messages[name];
+        }
+
+        return Messages[Locales.DEFAULT_LOCALE].hasOwnProperty(name) ? Messages[Locales.DEFAULT_LOCALE][name] : name;
+    },
+
+    /**
+     * Set an element's text to a message, keeping the message name so it can be translated again
+     *
+     * @method _text
+     * @param {HTMLElement} element
+     * @param {String} name Message name
+     * @return {HTMLElement} The element
+     * @private
+     */
+    _text: function(element, name) {
+        element.setAttribute('data-message', name);
+        element.textContent = this._message(name);
+
+        return element;
+    },
+
+    /**
+     * Create a form input
+     *
+     * @method _input
+     * @param {String} type Input type
+     * @param {String} name Input name
+     * @param {String|Boolean} value Input value, or checked state for checkboxes
+     * @return {HTMLInputElement}
+     * @private
+     */
+    _input: function(type, name, value) {
+        var input = document.createElement('input');
+        input.setAttribute('type', type);
+        input.setAttribute('name', name);
+
+        if (type === 'checkbox') {
+            input.checked = !!value;
+        } else {
+            input.value = value;
+        }
+
+        return input;
+    },
+
+    /**
+     * Create a select box
+     *
+     * @method _select
+     * @param {String} name Select name
+     * @param {Array[]} options Options, as `[value, message name]` pairs
+     * @param {String} value Selected value
+     * @return {HTMLSelectElement}
+     * @private
+     */
+    _select: function(name, options, value) {
+        var self = this;
+        var select = document.createElement('select');
+        select.setAttribute('name', name);
+
+        options.forEach(function(option) {
+            var element = self._text(document.createElement('option'), option[1]);
+            element.value = option[0];
+            select.appendChild(element);
+        });
+        select.value = value;
+
+        return select;
+    },
+
+    /**
+     * Create a button moving a form row above the previous row
+     *
+     * @method _moveUpButton
+     * @param {HTMLTableRowElement} row Row to move
+     * @return {HTMLButtonElement}
+     * @private
+     */
+    _moveUpButton: function(row) {
+        var button = document.createElement('button');
+        button.setAttribute('type', 'button');
+        button.setAttribute('data-message-title', 'optionsMoveUp');
+        button.setAttribute('title', this._message('optionsMoveUp'));
+        button.textContent = '\u2191';
+        button.addEventListener('click', function() {
+            if (row.previousElementSibling) {
+                row.parentNode.insertBefore(row, row.previousElementSibling);
+            }
+        });
+
+        return button;
+    },
+
+    /**
+     * Create a button removing a form row
+     *
+     * @method _removeButton
+     * @param {HTMLTableRowElement} row Row to remove
+     * @return {HTMLButtonElement}
+     * @private
+     */
+    _removeButton: function(row) {
+        var button = this._text(document.createElement('button'), 'optionsRemove');
+        button.setAttribute('type', 'button');
+        button.addEventListener('click', function() {
+            row.parentNode.removeChild(row);
+        });
+
+        return button;
+    },
+
+    /**
+     * Wrap a node in a table cell
+     *
+     * @method _cell
+     * @param {HTMLElement} content Cell content
+     * @return {HTMLTableCellElement}
+     * @private
+     */
+    _cell: function(content) {
+        var cell = document.createElement('td');
+        cell.appendChild(content);
+
+        return cell;
+    }
+};
+
+Options.init(document.getElementById(Options.FORM_ID));
@@ -0,0 +1,191 @@
+'use strict';
+/* exported Settings */
+/* global Store */
+/**
+ * Admin Helper settings
+ *
+ * @module AdminHelper
+ */
+
+/**
+ * User settings persistence
+ *
+ * Settings are stored with `Store`, in the extension's sync storage when running as an extension.
+ *
+ * @class Settings
+ * @static
+ */
+var Settings = {
+    /**
+     * Storage key for persisted settings
+     *
+     * @property STORAGE_KEY
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_settings'
+     */
+    STORAGE_KEY: 'admin_helper_settings',
+
+    /**
+     * Message type sent to open timesheets when settings are saved from the options page
+     *
+     * @property CHANGED
+     * @type String
+     * @static
+     * @final
+     * @default 'admin_helper_settings_changed'
+     */
+    CHANGED: 'admin_helper_settings_changed',
+
+    /**
+     * Default settings, used for any missing values
+     *
+     * - `projects`: Tracked project codes, with highlight color and enabled features
+     * - `budgets`: Weekly hour budgets, by category
+     * - `budgetWarning`: Fraction of a budget at which to warn
+     * - `aliases`: Canonical categories, by label variant
+     * - `rules`: Ordered rules categorizing notes without a prefix, as `type`, `match` and `category`
+     * - `historyWeeks`: Number of recent weeks to display in the trend view
+     * - `highlights`: Ordered rules highlighting entry rows, as `field`, `match`, `color` and `style`
+     * - `presets`: Ordered quick-add presets for ADMIN entries, as `category`, default `hours` and `notes`
+     * - `pivot`: Summary pivot table layout, as `rows` and `column` dimensions, until one is chosen on a timesheet
+     * - `plugins`: Whether each registered plugin is enabled, by plugin name. Unlisted plugins use their default.
+     * - `locale`: Language for messages and numbers, such as `fr`. Empty to use the browser's language.
+     * - `theme`: Color theme, as `light`, `dark` or `contrast`, or `auto` to follow the operating system
+     * - `hoursFormat`: Hour display, as `mode` (`decimal`, `rounded` or `duration`), decimal `precision`, and rounding
+     *   `increment` and `direction` (`nearest`, `up` or `down`)
+     *
+     * @property DEFAULTS
+     * @type Object
+     * @static
+     * @final
+     */
+    DEFAULTS: {
+        projects: [
+            {
+                code: 'ADMIN',
+                color: '#ceffcc',
+                highlight: true,
+                summarize: true
+            }
+        ],
+        budgets: {},
+        budgetWarning: 0.8,
+        aliases: {},
+        rules: [],
+        historyWeeks: 8,
+        highlights: [],
+        presets: [],
+        pivot: {
+            rows: ['project', 'category'],
+            column: 'day'
+        },
+        plugins: {},
+        locale: '',
+        theme: 'auto',
+        hoursFormat: {
+            mode: 'decimal',
+            precision: 2,
+            increment: 0.25,
+            direction: 'nearest'
+        }
+    },
+
+    /**
+     * Load stored settings, merged with defaults
+     *
+     * @method load
+     * @param {callback} [callback] Receives the settings object
+     * @return {Promise} Resolves with the settings object
+     * @example
+     *     Settings.load(function(settings) {
+     *         console.log(settings.projects);
+     *     });
+     */
+    load: function(callback) {
+        var self = this;
+
+        return Store.get(this.STORAGE_KEY).then(function(settings) {
+            settings = self._merge(settings);
+
+            if (typeof callback === 'function') {
+                callback(settings);
+            }
+
+            return settings;
+        });
+    },
+
+    /**
+     * Persist settings
+     *
+     * @method save
+     * @param {Object} settings Settings to store
+     * @param {callback} [callback] Called once settings have been written
+     * @return {Promise} Resolves once settings have been written
+     */
+    save: function(settings, callback) {
+        return Store.set(this.STORAGE_KEY, settings).then(function() {
+            if (typeof callback === 'function') {
+                callback();
+            }
+        });
+    },
+
+    /**
+     * Watch for settings saved elsewhere, such as the options page or another timesheet
+     *
+     * @method watch
+     * @param {callback} callback Receives the new settings object, merged with defaults
+     * @return {Function} Stops watching when called
+     */
+    watch: function(callback) {
+        var self = this;
+
+        return Store.watch(this.STORAGE_KEY, function(settings) {
+            callback(self._merge(settings));
+        });
+    },
+
+    /**
+     * Find the configuration for a project code
+     *
+     * @method project
+     * @param {Object} settings Settings object
+     * @param {String} code Project code, as displayed on the timesheet
+     * @return {Object|null} Matching project configuration
+     */
+    project: function(settings, code) {
+        var projects = settings.projects;
+
+        for (var i = 0, l = projects.length; i < l; i++) {
+            if (projects[i].code === code) {
+                return projects[i];
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Fill missing settings values from `DEFAULTS`
+     *
+     * @method _merge
+     * @param {Object} [settings] Stored settings
+     * @return {Object} Complete settings object
+     * @private
+     */
+    _merge: function(settings) {
+        var merged = {};
+        settings = settings || {};
+
+        for (var key in this.DEFAULTS) {
+            if (this.DEFAULTS.hasOwnProperty(key)) {
+                merged[key] = settings.hasOwnProperty(key) ? settings[key] : this.DEFAULTS[key];
+            }
+        }
+
+        return merged;
+    }
+};
@@ -0,0 +1,242 @@
+'use strict';
+/* exported Store */
+/* global Browser, GM */
+/**
+ * Admin Helper storage
+ *
+ * @module AdminHelper
+ */
+
+/**
+ * Promise based key value storage, shared by the extension and userscript builds
+ *
+ * The backend is chosen when each method is called:
+ *
+ * - Extension storage, when running as an extension
+ * - `GM.getValue` and `GM.setValue`, when running as a userscript with those grants
+ * - `localStorage` otherwise
+ *
+ * Values are stored as JSON outside of extension storage.
+ *
+ * @class Store
+ * @static
+ */
+var Store = {
+    /**
+     * Default extension storage area
+     *
+     * @property DEFAULT_AREA
+     * @type String
+     * @static
+     * @final
+     * @default 'sync'
+     */
+    DEFAULT_AREA: 'sync',
+
+    /**
+     * Read a stored value
+     *
+     * @method get
+     * @param {String} key
+     * @param {String} [area] Extension storage area, `sync` or `local`
+     * @return {Promise} Resolves with the stored value, or undefined when missing or invalid
+     * @example
+     *     Store.get('admin_helper_settings').then(function(settings) {
+     *         console.log(settings);
+     *     });
+     */
+    get: function(key, area) {
+        return this.backend(area).get(key);
+    },
+
+    /**
+     * Store a value
+     *
+     * @method set
+     * @param {String} key
+     * @param {*} value JSON serializable value
+     * @param {String} [area] Extension storage area, `sync` or `local`
+     * @return {Promise} Resolves once the value has been written
+     */
+    set: function(key, value, area) {
+        return this.backend(area).set(key, value);
+    },
+
+    /**
+     * Watch a stored value for changes
+     *
+     * Changes made in other tabs are always reported. Changes made by the current page may not be, as `localStorage`
+     * only notifies other pages, and not every userscript manager supports value change listeners.
+     *
+     * @method watch
+     * @param {String} key
+     * @param {callback} callback Receives the new value
+     * @param {String} [area] Extension storage area, `sync` or `local`
+     * @return {Function} Stops watching when called
+     */
+    watch: function(key, callback, area) {
+        return this.backend(area).watch(key, callback);
+    },
+
+    /**
+     * Storage backend for the current environment
+     *
+     * @method backend
+     * @param {String} [area] Extension storage area, `sync` or `local`
+     * @return {Object} Backend with `name`, and `get`, `set` and `watch` methods
+     */
+    backend: function(area) {
+        area = area || this.DEFAULT_AREA;
+
+        var storage = Browser.storage(area);
+
+        if (storage) {
+            return this._extension(storage, area);
+        }
+
+        if (typeof GM !== 'undefined' && GM.getValue && GM.setValue) {
+            return this._greasemonkey();
+        }
+
+        return this._local();
+    },
+
+    /**
+     * Extension storage backend
+     *
+     * @method _extension
+     * @param {Object} storage Storage area from `Browser.storage`
+     * @param {String} area Storage area name
+     * @return {Object} Backend
+     * @private
+     */
+    _extension: function(storage, area) {
+        return {
+            name: 'extension',
+            get: function(key) {
+                return new Promise(function(resolve, reject) {
+                    storage.get(key, function(items, error) {
+                        return error ? reject(error) : resolve(items ? items[key] : undefined);
+                    });
+                });
+            },
+            set: function(key, value) {
+                return new Promise(function(resolve, reject) {
+                    var items = {};
+                    items[key] = value;
+
+                    storage.set(items, function(result, error) {
+                        return error ? reject(error) : resolve();
+                    });
+                });
+            },
+            watch: function(key, callback) {
+                return Browser.onStorageChange(area, function(changes) {
+                    if (changes.hasOwnProperty(key)) {
+                        callback(changes[key].newValue);
+                    }
+                });
+            }
+        };
+    },
+
+    /**
+     * Userscript storage backend
+     *
+     * Values missing from userscript storage are read from `localStorage`, where earlier userscript versions kept them
+     *
+     * @method _greasemonkey
+     * @return {Object} Backend
+     * @private
+     */
+    _greasemonkey: function() {
+        /* jshint camelcase: false, newcap: false */
+        /* global GM_addValueChangeListener, GM_removeValueChangeListener */
+        var self = this;
+        var local = this._local();
+
+        return {
+            name: 'greasemonkey',
+            get: function(key) {
+                return GM.getValue(key).then(function(value) {
+                    return value === undefined ? local.get(key) : self._parse(value);
+                });
+            },
+            set: function(key, value) {
+                return GM.setValue(key, JSON.stringify(value));
+            },
+            watch: function(key, callback) {
+                if (typeof GM_addValueChangeListener !== 'function') {
+                    return function() {};
+                }
+
+                var id = GM_addValueChangeListener(key, function(name, oldValue, newValue) {
+                    callback(self._parse(newValue));
+                });
+
+                return function() {
+                    GM_removeValueChangeListener(id);
+                };
+            }
+        };
+    },
+
+    /**
+     * localStorage backend
+     *
+     * @method _local
+     * @return {Object} Backend
+     * @private
+     */
+    _local: function() {
+        var self = this;
+
+        return {
+            name: 'local',
+            get: function(key) {
+                return new Promise(function(resolve) {
+                    resolve(self._parse(window.localStorage.getItem(key)));
+                });
+            },
+            set: function(key, value) {
+                return new Promise(function(resolve) {
+                    window.localStorage.setItem(key, JSON.stringify(value));
+                    resolve();
+                });
+            },
+            watch: function(key, callback) {
+                var listener = function(event) {
+                    if (event.key === key) {
+                        callback(self._parse(event.newValue));
+                    }
+                };
+
+                window.addEventListener('storage', listener);
+
+                return function() {
+                    window.removeEventListener('storage', listener);
+                };
+            }
+        };
+    },
+
+    /**
+     * Parse a stored JSON value
+     *
+     * @method _parse
+     * @param {String|null} value
+     * @return {*} Parsed value, or undefined when missing or invalid
+     * @private
+     */
+    _parse: function(value) {
+        if (value === null || value === undefined) {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return undefined;
+        }
+    }
+};
@@ -14,6 +14,17 @@
         });
 
         describe('AdminHelper', function () {
+            var registered;
+
+            beforeEach(function() {
+                registered = AdminHelper.plugins;
+                AdminHelper.plugins = [];
+            });
+
+            afterEach(function() {
+                AdminHelper.plugins = registered;
+            });
+
             describe('_iterateRows', function() {
                 var spy = local(function() {
                     return sinon.spy();
@@ -28,7 +39,8 @@
                 beforeEach(function() {
                     document.body.appendChild(data());
 
-                    AdminHelper._iterateRows([helper()]);
+                    AdminHelper.register('helper', helper());
+                    AdminHelper._iterateRows(AdminHelper.plugins);
                 });
 
                 it('finds admin rows', function() {
@@ -40,6 +52,369 @@
 
                     expect(result[0]).to.have.property('tagName', 'TR');
                 });
+
+                it('passes settings to provided classes', function() {
+                    expect(spy().firstCall.args[1]).to.equal(Settings.DEFAULTS);
+                });
+
+                it('passes parsed entries to provided classes', function() {
+                    var entries = spy().firstCall.args[2];
+
+                    expect(entries).to.have.length(1);
+                    expect(entries[0]).to.have.property('project', 'ADMIN');
+                    expect(entries[0].row).to.equal(spy().firstCall.args[0].all()[0]);
+                });
+
+                it('passes parsed entries for all page rows to provided classes', function() {
+                    var pageEntries = spy().firstCall.args[3];
+
+                    expect(pageEntries).to.have.length(Page.rows().all().length);
+                    expect(pageEntries).to.include(spy().firstCall.args[2][0]);
+                });
+
+                it('parses each row once', function() {
+                    var parse = sinon.spy(TimesheetEntry, 'parse');
+
+                    try {
+                        AdminHelper._iterateRows(AdminHelper.plugins);
+                    } finally {
+                        parse.restore();
+                    }
+
+                    expect(parse.callCount).to.equal(Page.rows().all().length);
+                });
+            });
+
+            describe('.register', function() {
+                var names = function() {
+                    return AdminHelper.plugins.map(function(plugin) {
+                        return plugin.name;
+                    });
+                };
+
+                it('orders plugins by priority, then registration', function() {
+                    AdminHelper
+                        .register('c', {}, {priority: 20})
+                        .register('a', {})
+                        .register('b', {}, {priority: 20})
+                        .register('d', {}, {priority: 5});
+
+                    expect(names()).to.eql(['d', 'c', 'b', 'a']);
+                });
+
+                it('replaces plugins with the same name', function() {
+                    var hook = {};
+
+                    AdminHelper.register('a', {}).register('a', hook);
+
+                    expect(names()).to.eql(['a']);
+                    expect(AdminHelper.plugin('a').hook).to.equal(hook);
+                });
+            });
+
+            describe('.unregister', function() {
+                it('tears down and removes active plugins', function() {
+                    var hook = {teardown: sinon.spy()};
+
+                    AdminHelper.register('a', hook);
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+                    AdminHelper.unregister('a');
+
+                    expect(hook.teardown.calledOnce).to.be.true;
+                    expect(AdminHelper.plugin('a')).to.be.null;
+                });
+            });
+
+            describe('plugin lifecycle', function() {
+                var hook = local(function() {
+                    return {
+                        setup: sinon.spy(),
+                        run: sinon.spy(),
+                        update: sinon.spy(),
+                        teardown: sinon.spy()
+                    };
+                });
+
+                var settings = function(enabled) {
+                    return {projects: Settings.DEFAULTS.projects, plugins: {lifecycle: enabled}};
+                };
+
+                beforeEach(function() {
+                    AdminHelper.register('lifecycle', hook(), {priority: 1, color: 'red'});
+                });
+
+                it('sets up plugins with their options before the first run', function() {
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+
+                    expect(hook().setup.calledBefore(hook().run)).to.be.true;
+                    expect(hook().setup.firstCall.args[1]).to.have.property('color', 'red');
+                });
+
+                it('updates plugins on later runs', function() {
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+
+                    expect(hook().setup.calledOnce).to.be.true;
+                    expect(hook().run.calledOnce).to.be.true;
+                    expect(hook().update.calledOnce).to.be.true;
+                });
+
+                it('skips plugins disabled in settings', function() {
+                    AdminHelper._iterateRows(AdminHelper.plugins, settings(false));
+
+                    expect(hook().run.called).to.be.false;
+                });
+
+                it('tears down plugins once disabled, and sets them up again when enabled', function() {
+                    AdminHelper._iterateRows(AdminHelper.plugins, settings(true));
+                    AdminHelper._iterateRows(AdminHelper.plugins, settings(false));
+                    AdminHelper._iterateRows(AdminHelper.plugins, settings(false));
+                    AdminHelper._iterateRows(AdminHelper.plugins, settings(true));
+
+                    expect(hook().teardown.calledOnce).to.be.true;
+                    expect(hook().setup.calledTwice).to.be.true;
+                    expect(hook().run.calledTwice).to.be.true;
+                });
+
+                it('uses the registered default when not configured', function() {
+                    AdminHelper.register('off', {run: sinon.spy()}, {enabled: false});
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+
+                    expect(AdminHelper.plugin('off').hook.run.called).to.be.false;
+                });
+
+                it('tears down active plugins', function() {
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+                    AdminHelper.teardown();
+
+                    expect(hook().teardown.calledOnce).to.be.true;
+                });
+            });
+
+            describe('plugin errors', function() {
+                var error = local(function() {
+                    return sinon.stub(console, 'error');
+                }, function(stub) {
+                    if (stub) {
+                        stub.restore();
+                    }
+                });
+
+                it('logs failures and runs later plugins', function() {
+                    var later = {run: sinon.spy()};
+
+                    error();
+                    AdminHelper
+                        .register('broken', {run: function() { throw new Error('broken'); }}, {priority: 1})
+                        .register('later', later, {priority: 2});
+
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+
+                    expect(later.run.calledOnce).to.be.true;
+                    expect(error().firstCall.args[0]).to.equal('AdminHelper: "broken" plugin failed during run');
+                });
+
+                it('logs rejected promises', function(done) {
+                    var failure = new Error('rejected');
+                    var later = {run: sinon.spy()};
+
+                    error();
+                    AdminHelper
+                        .register('rejecting', {run: function() { return Promise.reject(failure); }}, {priority: 1})
+                        .register('later', later, {priority: 2});
+
+                    AdminHelper._iterateRows(AdminHelper.plugins);
+
+                    expect(later.run.calledOnce).to.be.true;
+
+                    setTimeout(function() {
+                        expect(error().calledOnce).to.be.true;
+                        expect(error().firstCall.args).to.eql(['AdminHelper: "rejecting" plugin failed during run', failure]);
+                        done();
+                    }, 0);
+                });
+            });
+
+            describe('.refresh', function() {
+                var hook = local(function() {
+                    return {run: sinon.spy()};
+                });
+
+                beforeEach(function() {
+                    AdminHelper.register('hook', hook());
+                    AdminHelper.settings = Settings.DEFAULTS;
+                    sinon.stub(AdminHelper, 'observe');
+                });
+
+                afterEach(function() {
+                    AdminHelper.observe.restore();
+                });
+
+                it('runs hooks again', function() {
+                    AdminHelper.refresh();
+                    AdminHelper.refresh();
+
+                    expect(hook().run.calledTwice).to.be.true;
+                });
+
+                it('resumes observing once hooks have run', function() {
+                    AdminHelper.refresh();
+
+                    expect(AdminHelper.observe.calledAfter(hook().run)).to.be.true;
+                });
+            });
+
+            describe('.configure', function() {
+                beforeEach(function() {
+                    sinon.stub(AdminHelper, 'observe');
+                });
+
+                afterEach(function() {
+                    AdminHelper.observe.restore();
+                    Theme.apply(Theme.DEFAULT_THEME);
+                });
+
+                it('applies the theme from settings', function() {
+                    var settings = {};
+
+                    Object.keys(Settings.DEFAULTS).forEach(function(key) {
+                        settings[key] = Settings.DEFAULTS[key];
+                    });
+                    settings.theme = 'dark';
+
+                    AdminHelper.configure(settings);
+
+                    expect(document.documentElement.classList.contains('admin_helper_theme_dark')).to.be.true;
+                });
+            });
+
+            describe('.listen', function() {
+                var settings = {locale: 'en'};
+
+                beforeEach(function() {
+                    sinon.stub(AdminHelper, 'configure');
+                    sinon.stub(Settings, 'load').callsFake(function(callback) {
+                        callback(settings);
+                    });
+                    sinon.stub(Settings, 'watch');
+                });
+
+                afterEach(function() {
+                    AdminHelper.configure.restore();
+                    Settings.load.restore();
+                    Settings.watch.restore();
+                    Browser.onMessage.restore();
+                });
+
+                it('applies settings announced by the options page', function() {
+                    sinon.stub(Browser, 'onMessage').callsFake(function(listener) {
+                        listener({type: 'other'});
+                        listener({type: Settings.CHANGED});
+
+                        return true;
+                    });
+
+                    AdminHelper.listen();
+
+                    expect(AdminHelper.configure.calledOnce).to.be.true;
+                    expect(AdminHelper.configure.calledWith(settings)).to.be.true;
+                    expect(Settings.watch.called).to.be.false;
+                });
+
+                it('watches stored settings outside of an extension', function() {
+                    sinon.stub(Browser, 'onMessage').returns(false);
+
+                    AdminHelper.listen();
+                    Settings.watch.firstCall.args[0](settings);
+
+                    expect(AdminHelper.configure.calledWith(settings)).to.be.true;
+                });
+            });
+
+            describe('._scheduleRefresh', function() {
+                var clock = local(function() {
+                    return sinon.useFakeTimers();
+                }, function(clock) {
+                    if (clock) {
+                        clock.restore();
+                    }
+                });
+
+                beforeEach(function() {
+                    clock();
+                    sinon.stub(AdminHelper, 'refresh');
+                });
+
+                afterEach(function() {
+                    AdminHelper.refresh.restore();
+                });
+
+                it('debounces bursts of changes into one refresh', function() {
+                    AdminHelper._scheduleRefresh();
+                    clock().tick(AdminHelper.REFRESH_DELAY - 1);
+                    AdminHelper._scheduleRefresh();
+                    clock().tick(AdminHelper.REFRESH_DELAY);
+
+                    expect(AdminHelper.refresh.calledOnce).to.be.true;
+                });
+
+                it('cancels pending refreshes when disconnected', function() {
+                    AdminHelper._scheduleRefresh();
+                    AdminHelper.disconnect();
+                    clock().tick(AdminHelper.REFRESH_DELAY);
+
+                    expect(AdminHelper.refresh.called).to.be.false;
+                });
+            });
+
+            describe('._isTableMutation', function() {
+                var rows = local(function() {
+                    return data().getElementsByTagName('tr');
+                });
+
+                it('accepts changes within tables', function() {
+                    expect(AdminHelper._isTableMutation({target: rows()[0]})).to.be.true;
+                });
+
+                it('ignores changes outside of tables', function() {
+                    expect(AdminHelper._isTableMutation({target: document.createElement('div')})).to.be.false;
+                });
+
+                it('ignores helper output being added or removed', function() {
+                    var output = document.createElement('div');
+                    output.className = AdminHelper.OUTPUT_CLASS;
+
+                    expect(AdminHelper._isTableMutation({target: rows()[0], addedNodes: [output], removedNodes: []})).to.be.false;
+                });
+
+                it('ignores changes within helper output', function() {
+                    var output = document.createElement('div');
+                    output.className = AdminHelper.OUTPUT_CLASS;
+                    output.appendChild(data());
+
+                    expect(AdminHelper._isTableMutation({target: rows()[0]})).to.be.false;
+                });
+            });
+
+            describe('.rowQuery', function() {
+                it('matches rows for each project code', function() {
+                    var query = AdminHelper.rowQuery([{code: 'ADMIN'}, {code: 'PTO'}]);
+
+                    document.body.appendChild(data());
+
+                    expect(query).to.have.string('[td[contains(@class, "project")][normalize-space()="ADMIN" or normalize-space()="PTO"]]');
+                    expect(Xpath.findAll(query)).to.have.length(1);
+                });
+
+                it('uses the page adapter\'s row and project cell queries', function() {
+                    var query = AdminHelper.rowQuery([{code: 'ADMIN'}], {rows: '//tr', cells: {project: 'td[2]'}});
+
+                    expect(query).to.equal('//tr[td[2][normalize-space()="ADMIN"]]');
+                });
+
+                it('matches nothing without project codes', function() {
+                    expect(AdminHelper.rowQuery([])).to.have.string('[false()]');
+                });
             });
         });
 })();
@@ -0,0 +1,127 @@
+/* Browser Class */
+(function () {
+    'use strict';
+
+    describe('Browser', function () {
+        var area = function(items) {
+            return {
+                get: sinon.spy(function(key, callback) {
+                    callback(items);
+                }),
+                set: sinon.spy(function(values, callback) {
+                    callback();
+                })
+            };
+        };
+
+        afterEach(function() {
+            delete window.chrome;
+            delete window.browser;
+        });
+
+        describe('.api', function() {
+            it('returns null outside of an extension', function() {
+                window.chrome = {runtime: {}};
+
+                expect(Browser.api()).to.be.null;
+            });
+
+            it('prefers the browser namespace', function() {
+                window.chrome = {runtime: {id: 'extension'}};
+                window.browser = {runtime: {id: 'extension'}};
+
+                expect(Browser.api()).to.equal(window.browser);
+            });
+        });
+
+        describe('.storage', function() {
+            it('returns null outside of an extension', function() {
+                expect(Browser.storage('sync')).to.be.null;
+            });
+
+            it('reads from callback based storage', function() {
+                var callback = sinon.spy();
+                window.chrome = {runtime: {id: 'extension'}, storage: {sync: area({key: 'value'})}};
+
+                Browser.storage('sync').get('key', callback);
+                expect(callback.calledWith({key: 'value'})).to.be.true;
+            });
+
+            it('reads from promise based storage', function(done) {
+                window.browser = {runtime: {id: 'extension'}, storage: {local: {
+                    get: function() {
+                        return Promise.resolve({key: 'value'});
+                    }
+                }}};
+
+                Browser.storage('local').get('key', function(items) {
+                    expect(items).to.eql({key: 'value'});
+                    done();
+                });
+            });
+
+            it('passes no result when storage fails', function() {
+                var callback = sinon.spy();
+                var stub = sinon.stub(console, 'error');
+                window.chrome = {runtime: {id: 'extension', lastError: {message: 'Quota exceeded'}}, storage: {sync: area({})}};
+
+                Browser.storage('sync').set({key: 'value'}, callback);
+                stub.restore();
+
+                expect(callback.calledWith(undefined)).to.be.true;
+                expect(stub.calledOnce).to.be.true;
+            });
+        });
+
+        describe('.onMessage', function() {
+            it('returns false outside of an extension', function() {
+                expect(Browser.onMessage(function() {})).to.be.false;
+            });
+
+            it('passes messages to the listener', function() {
+                var listener = sinon.spy();
+                window.chrome = {runtime: {id: 'extension', onMessage: {
+                    addListener: function(callback) {
+                        callback({type: 'test'}, {});
+                    }
+                }}};
+
+                expect(Browser.onMessage(listener)).to.be.true;
+                expect(listener.calledWith({type: 'test'})).to.be.true;
+            });
+        });
+
+        describe('.broadcast', function() {
+            it('sends the message to tabs matching the content scripts', function() {
+                var callback = sinon.spy();
+                var tabs = {
+                    query: sinon.spy(function(query, done) {
+                        done([{id: 1}, {id: 2}]);
+                    }),
+                    sendMessage: sinon.spy(function(id, message, done) {
+                        done();
+                    })
+                };
+                window.chrome = {tabs: tabs, runtime: {
+                    id: 'extension',
+                    getManifest: function() {
+                        return {'content_scripts': [{matches: ['https://example.com/*']}]};
+                    }
+                }};
+
+                Browser.broadcast({type: 'test'}, callback);
+
+                expect(tabs.query.firstCall.args[0]).to.eql({url: ['https://example.com/*']});
+                expect(tabs.sendMessage.calledWith(2, {type: 'test'})).to.be.true;
+                expect(callback.calledWith(2)).to.be.true;
+            });
+
+            it('sends nothing without tab access', function() {
+                var callback = sinon.spy();
+
+                Browser.broadcast({type: 'test'}, callback);
+                expect(callback.calledWith(0)).to.be.true;
+            });
+        });
+    });
+})();
@@ -0,0 +1,42 @@
+/* Budget Class */
+(function () {
+    'use strict';
+
+    describe('Budget', function () {
+        describe('.budget', function () {
+            var settings = local(function() {
+                return {budgets: {Recruiting: 2}};
+            });
+
+            it('finds the budget for a category', function() {
+                expect(Budget.budget(settings(), 'Recruiting')).to.equal(2);
+            });
+
+            it('matches categories regardless of case and whitespace', function() {
+                expect(Budget.budget(settings(), ' recruiting')).to.equal(2);
+            });
+
+            it('returns null for categories without a budget', function() {
+                expect(Budget.budget(settings(), 'Meetings')).to.be.null;
+            });
+        });
+
+        describe('.status', function() {
+            it('is ok within the budget', function() {
+                expect(Budget.status(1, 2, 0.8)).to.equal(Budget.OK);
+            });
+
+            it('warns at the threshold', function() {
+                expect(Budget.status(1.6, 2, 0.8)).to.equal(Budget.WARNING);
+            });
+
+            it('warns when the budget is used up', function() {
+                expect(Budget.status(2, 2)).to.equal(Budget.WARNING);
+            });
+
+            it('is over when hours exceed the budget', function() {
+                expect(Budget.status(2.25, 2, 0.8)).to.equal(Budget.OVER);
+            });
+        });
+    });
+})();
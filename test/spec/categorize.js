@@ -0,0 +1,131 @@
+/* Categorize Class */
+(function () {
+    'use strict';
+
+    describe('Categorize', function () {
+        var entries = local(function() {
+            return [
+                {project: 'ADMIN', notes: 'Hiring: Interview', hours: 1},
+                {project: 'ADMIN', notes: 'Hiring: Phone screen', hours: 0.5},
+                {project: 'ADMIN', notes: 'No category', hours: 2},
+                {project: 'WO151', notes: 'Billable: Work', hours: 3}
+            ];
+        });
+
+        describe('.category', function () {
+            it('uses the note prefix', function() {
+                expect(Categorize.category({notes: 'Hiring: Phone screen: follow up'})).to.equal('Hiring');
+            });
+
+            it('uses the uncategorized category for notes without a prefix', function() {
+                expect(Categorize.category({notes: 'Hiring'})).to.equal(Categorize.UNCATEGORIZED);
+            });
+
+            it('trims whitespace', function() {
+                expect(Categorize.category({notes: ' Phone   screen : Candidate'})).to.equal('Phone screen');
+            });
+
+            it('replaces aliased labels', function() {
+                var settings = {aliases: {'Recruit': 'Recruiting'}};
+
+                expect(Categorize.category({notes: 'recruit : Candidate'}, settings)).to.equal('Recruiting');
+            });
+        });
+
+        describe('.category with rules', function() {
+            var settings = local(function() {
+                return {
+                    rules: [
+                        {type: 'keyword', match: 'Sprint planning', category: 'Planning'},
+                        {type: 'regex', match: 'stand-?up', category: 'Meetings'},
+                        {type: 'regex', match: 'meeting', category: 'Other meetings'},
+                        {type: 'regex', match: '(', category: 'Broken'}
+                    ]
+                };
+            });
+
+            it('categorizes unprefixed notes by keyword', function() {
+                expect(Categorize.category({notes: 'sprint planning for next week'}, settings())).to.equal('Planning');
+            });
+
+            it('categorizes unprefixed notes by regular expression', function() {
+                expect(Categorize.category({notes: 'Daily Standup'}, settings())).to.equal('Meetings');
+            });
+
+            it('uses the first matching rule', function() {
+                expect(Categorize.category({notes: 'standup meeting'}, settings())).to.equal('Meetings');
+            });
+
+            it('prefers note prefixes over rules', function() {
+                expect(Categorize.category({notes: 'Hiring: standup'}, settings())).to.equal('Hiring');
+            });
+
+            it('ignores invalid regular expressions', function() {
+                expect(Categorize.category({notes: 'Lunch ('}, settings())).to.equal(Categorize.UNCATEGORIZED);
+            });
+        });
+
+        describe('.normalize', function() {
+            it('ignores case and whitespace differences', function() {
+                expect(Categorize.normalize(' Phone  Screen ')).to.equal(Categorize.normalize('phone screen'));
+            });
+        });
+
+        describe('.labels', function() {
+            var entries = local(function() {
+                return [
+                    {project: 'ADMIN', notes: 'Recruiting: Interview', hours: 1},
+                    {project: 'ADMIN', notes: 'recruiting : Review', hours: 1},
+                    {project: 'ADMIN', notes: 'Recruit: Phone screen', hours: 1},
+                    {project: 'ADMIN', notes: 'Recruiting: Debrief', hours: 1}
+                ];
+            });
+
+            it('lists the raw labels merged into each category', function() {
+                var settings = {projects: Settings.DEFAULTS.projects, aliases: {recruit: 'Recruiting'}};
+
+                expect(Categorize.labels(entries(), settings)).to.eql({
+                    ADMIN: {Recruiting: ['Recruiting', 'recruiting ', 'Recruit']}
+                });
+            });
+        });
+
+        describe('.each', function() {
+            it('runs callback for entries of summarized projects', function() {
+                var callback = sinon.spy();
+
+                Categorize.each(entries(), Settings.DEFAULTS, callback);
+
+                expect(callback.callCount).to.equal(3);
+                expect(callback.firstCall.args[0]).to.have.property('code', 'ADMIN');
+                expect(callback.firstCall.args[1]).to.equal('Hiring');
+                expect(callback.firstCall.args[2]).to.equal(entries()[0]);
+            });
+        });
+
+        describe('.each with invalid hours', function() {
+            it('skips entries with invalid hours', function() {
+                var callback = sinon.spy();
+
+                Categorize.each([{project: 'ADMIN', notes: 'Hiring: Interview', hours: NaN}], Settings.DEFAULTS, callback);
+
+                expect(callback.called).to.be.false;
+            });
+        });
+
+        describe('.totals', function() {
+            it('totals hours by project and category', function() {
+                expect(Categorize.totals(entries(), Settings.DEFAULTS)).to.eql({ADMIN: {Hiring: 1.5, Uncategorized: 2}});
+            });
+
+            it('merges categories differing by case and whitespace', function() {
+                var entries = [
+                    {project: 'ADMIN', notes: 'Recruiting: Interview', hours: 1},
+                    {project: 'ADMIN', notes: 'recruiting : Review', hours: 0.5}
+                ];
+
+                expect(Categorize.totals(entries, Settings.DEFAULTS)).to.eql({ADMIN: {Recruiting: 1.5}});
+            });
+        });
+    });
+})();
@@ -0,0 +1,113 @@
+/* Export Class */
+(function () {
+    'use strict';
+
+    describe('Export', function () {
+        var entries = local(function() {
+            return [
+                {day: 'Monday', startTime: '09:00AM', endTime: '10:00AM', hours: 1, client: 'SIERRA', project: 'ADMIN', notes: 'Hiring: Interview, "senior" dev', weekEnding: '02/21/14'},
+                {day: 'Monday', startTime: '10:00AM', endTime: '10:12AM', hours: 0.1, client: 'SIERRA', project: 'ADMIN', notes: 'Hiring: Review', weekEnding: '02/21/14'},
+                {day: 'Tuesday', startTime: '10:00AM', endTime: '10:12AM', hours: 0.2, client: 'SIERRA', project: 'ADMIN', notes: 'Hiring: Review', weekEnding: '02/21/14'},
+                {day: 'Tuesday', startTime: '11:00AM', endTime: '12:00PM', hours: 1, client: 'NOTSIERRA', project: 'WO151', notes: 'Billable work', weekEnding: '02/21/14'}
+            ];
+        });
+
+        describe('.totals', function() {
+            it('flattens categorized totals', function() {
+                expect(Export.totals(entries(), Settings.DEFAULTS)).to.eql([
+                    {project: 'ADMIN', category: 'Hiring', hours: 1.3}
+                ]);
+            });
+        });
+
+        describe('.entries', function() {
+            var records = local(function() {
+                return Export.entries(entries(), Settings.DEFAULTS);
+            });
+
+            it('includes summarized entries only', function() {
+                expect(records()).to.have.length(3);
+            });
+
+            it('includes entry fields and category', function() {
+                expect(records()[1]).to.eql({
+                    day: 'Monday',
+                    startTime: '10:00AM',
+                    endTime: '10:12AM',
+                    hours: 0.1,
+                    client: 'SIERRA',
+                    project: 'ADMIN',
+                    notes: 'Hiring: Review',
+                    category: 'Hiring'
+                });
+            });
+        });
+
+        describe('.csv', function() {
+            it('includes a header row', function() {
+                expect(Export.csv(['a', 'b'], [])).to.equal('a,b\r\n');
+            });
+
+            it('quotes fields containing commas and quotes', function() {
+                var csv = Export.csv(['notes', 'hours'], [{notes: 'Interview, "senior" dev', hours: 1}]);
+
+                expect(csv).to.equal('notes,hours\r\n"Interview, ""senior"" dev",1\r\n');
+            });
+
+            it('quotes fields containing line breaks and surrounding whitespace', function() {
+                var csv = Export.csv(['a', 'b'], [{a: 'one\ntwo', b: ' padded'}]);
+
+                expect(csv).to.equal('a,b\r\n"one\ntwo"," padded"\r\n');
+            });
+
+            it('leaves missing values empty', function() {
+                expect(Export.csv(['a', 'b'], [{a: 1}])).to.equal('a,b\r\n1,\r\n');
+            });
+        });
+
+        describe('.filename', function() {
+            it('includes the week ending date', function() {
+                expect(Export.filename(entries(), 'totals', 'csv')).to.equal('admin-helper-02-21-14-totals.csv');
+            });
+
+            it('omits the date without entries', function() {
+                expect(Export.filename([], 'totals', 'csv')).to.equal('admin-helper-totals.csv');
+            });
+        });
+
+        describe('.run', function() {
+            beforeEach(function() {
+                sinon.stub(Export, 'download');
+            });
+
+            afterEach(function() {
+                Export.download.restore();
+            });
+
+            it('downloads totals as CSV', function() {
+                Export.run('totals-csv', entries(), Settings.DEFAULTS);
+
+                expect(Export.download.firstCall.args).to.eql([
+                    'admin-helper-02-21-14-totals.csv',
+                    'project,category,hours\r\nADMIN,Hiring,1.3\r\n',
+                    'text/csv'
+                ]);
+            });
+
+            it('downloads totals and entries as JSON', function() {
+                Export.run('json', entries(), Settings.DEFAULTS);
+
+                var data = JSON.parse(Export.download.firstCall.args[1]);
+
+                expect(data.totals).to.have.length(1);
+                expect(data.entries).to.have.length(3);
+            });
+
+            it('ignores unknown formats', function() {
+                Export.run('xml', entries(), Settings.DEFAULTS);
+
+                expect(Export.download.called).to.be.false;
+            });
+        });
+    });
+})();
@@ -0,0 +1,146 @@
+/* Formatter Class */
+(function () {
+    'use strict';
+
+    describe('Formatter', function () {
+        var records = local(function() {
+            return [
+                {project: 'ADMIN', category: 'Hiring', hours: 1.5},
+                {project: 'ADMIN', category: 'A|B <c>', hours: 10}
+            ];
+        });
+
+        describe('.format', function() {
+            context('as markdown', function() {
+                it('renders a table with escaped pipes', function() {
+                    expect(Formatter.format('markdown', records())).to.equal(
+                        '| Project | Category | Hours |\n' +
+                        '| --- | --- | ---: |\n' +
+                        '| ADMIN | Hiring | 1.50 |\n' +
+                        '| ADMIN | A\\|B <c> | 10.00 |\n'
+                    );
+                });
+            });
+
+            context('as plain text', function() {
+                it('aligns columns', function() {
+                    expect(Formatter.format('text', records())).to.equal(
+                        'Project  Category  Hours\n' +
+                        'ADMIN    Hiring     1.50\n' +
+                        'ADMIN    A|B <c>   10.00\n'
+                    );
+                });
+            });
+
+            context('as html', function() {
+                it('renders an escaped table', function() {
+                    var html = Formatter.format('html', records());
+
+                    expect(html).to.have.string('<tr><td>ADMIN</td><td>A|B &lt;c&gt;</td><td style="text-align: right">10.00</td></tr>');
+                    expect(html.indexOf('<table>')).to.equal(0);
+                });
+            });
+
+            context('with an hours format setting', function() {
+                it('formats hours as in the summary', function() {
+                    var settings = {hoursFormat: {mode: 'duration'}};
+
+                    expect(Formatter.format('text', records(), settings)).to.equal(
+                        'Project  Category  Hours\n' +
+                        'ADMIN    Hiring     1:30\n' +
+                        'ADMIN    A|B <c>   10:00\n'
+                    );
+                });
+            });
+
+            context('in French', function() {
+                beforeEach(function() {
+                    I18n.use('fr');
+                });
+
+                afterEach(function() {
+                    I18n.use();
+                });
+
+                it('translates headings and formats hours for the locale', function() {
+                    expect(Formatter.format('markdown', records())).to.equal(
+                        '| Projet | Catégorie | Heures |\n' +
+                        '| --- | --- | ---: |\n' +
+                        '| ADMIN | Hiring | 1,50 |\n' +
+                        '| ADMIN | A\\|B <c> | 10,00 |\n'
+                    );
+                });
+
+                it('translates html headings', function() {
+                    expect(Formatter.format('html', records())).to.have.string('<th>Projet</th><th>Catégorie</th><th>Heures</th>');
+                });
+            });
+
+            context('with a customized format', function() {
+                beforeEach(function() {
+                    Formatter.FORMATS.custom = {
+                        label: 'Custom',
+                        type: 'text/plain',
+                        format: function(records) {
+                            return records.length + ' totals';
+                        }
+                    };
+                });
+
+                afterEach(function() {
+                    delete Formatter.FORMATS.custom;
+                });
+
+                it('uses the custom format', function() {
+                    expect(Formatter.format('custom', records())).to.equal('2 totals');
+                });
+            });
+        });
+
+        describe('.copy', function() {
+            var clipboard = local(function() {
+                return {};
+            });
+
+            beforeEach(function() {
+                sinon.stub(document, 'execCommand').callsFake(function() {
+                    var event = document.createEvent('Event');
+                    event.initEvent('copy', true, true);
+                    event.clipboardData = {
+                        setData: function(type, value) {
+                            clipboard()[type] = value;
+                        }
+                    };
+                    document.dispatchEvent(event);
+
+                    return true;
+                });
+            });
+
+            afterEach(function() {
+                document.execCommand.restore();
+            });
+
+            it('copies formatted totals', function() {
+                Formatter.copy('markdown', records());
+
+                expect(clipboard()['text/plain']).to.equal(Formatter.format('markdown', records()));
+            });
+
+            it('copies hours using the hours format setting', function() {
+                var settings = {hoursFormat: {mode: 'rounded', increment: 1, direction: 'up'}};
+
+                Formatter.copy('markdown', records(), settings);
+
+                expect(clipboard()['text/plain']).to.have.string('| ADMIN | Hiring | 2 |');
+            });
+
+            it('copies rich formats with a plain text fallback', function() {
+                Formatter.copy('html', records());
+
+                expect(clipboard()['text/html']).to.equal(Formatter.format('html', records()));
+                expect(clipboard()['text/plain']).to.equal(Formatter.format('text', records()));
+            });
+        });
+    });
+})();
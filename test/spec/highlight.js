@@ -22,5 +22,206 @@
                 expect(node().classList.contains('admin_helper_highlight')).to.be_true;
             });
         });
+
+        describe('.run with project rows', function() {
+            var data = local(function() {
+                var table = document.createElement('table');
+                table.className = 'data_table';
+                table.innerHTML = SpecFixtures.ADMIN_ROWS;
+
+                return table;
+            }, function(table) {
+                if (table && table.parentNode) {
+                    table.parentNode.removeChild(table);
+                }
+
+                var style = document.getElementById('admin_helper_styles');
+                if (style) {
+                    style.parentNode.removeChild(style);
+                }
+            });
+
+            var adminRow = local(function() {
+                return data().getElementsByTagName('tr')[1];
+            });
+
+            beforeEach(function() {
+                document.body.appendChild(data());
+            });
+
+            context('when highlighting is enabled for the project', function() {
+                beforeEach(function() {
+                    Highlight.run([adminRow()], {projects: [{code: 'PTO'}, {code: 'ADMIN', color: '#abcdef', highlight: true}]});
+                });
+
+                it('applies a project class', function() {
+                    expect(adminRow().classList.contains('admin_helper_project_1')).to.be.true;
+                });
+
+                it('generates project highlight colors', function() {
+                    var style = document.getElementById('admin_helper_styles');
+
+                    expect(style.textContent).to.have.string('tr.admin_helper_project_1 td { background-color: #abcdef; }');
+                });
+            });
+
+            context('when the row category is over budget', function() {
+                beforeEach(function() {
+                    Highlight.run([adminRow()], {projects: Settings.DEFAULTS.projects, budgets: {'First Client': 0.5}});
+                });
+
+                it('applies the over budget class', function() {
+                    expect(adminRow().classList.contains('admin_helper_over_budget')).to.be.true;
+                    expect(adminRow().classList.contains('admin_helper_highlight')).to.be.true;
+                });
+            });
+
+            context('when the row category is within budget', function() {
+                beforeEach(function() {
+                    Highlight.run([adminRow()], {projects: Settings.DEFAULTS.projects, budgets: {'First Client': 1}});
+                });
+
+                it('does not apply the over budget class', function() {
+                    expect(adminRow().classList.contains('admin_helper_over_budget')).to.be.false;
+                });
+            });
+
+            context('when a row is no longer matched', function() {
+                beforeEach(function() {
+                    Highlight.run([adminRow()]);
+                    Highlight.run([]);
+                });
+
+                it('removes the stale highlight', function() {
+                    expect(adminRow().className).to.equal('entry_row');
+                });
+            });
+
+            context('when a highlight rule matches a row', function() {
+                var workRow = local(function() {
+                    return data().getElementsByTagName('tr')[0];
+                });
+
+                beforeEach(function() {
+                    Highlight.run([adminRow()], {
+                        projects: Settings.DEFAULTS.projects,
+                        highlights: [
+                            {field: 'project', match: 'admin', color: '#00ff00', style: 'text'},
+                            {field: 'client', match: 'notsierra', color: '#ff0000', style: 'fill'}
+                        ]
+                    });
+                });
+
+                it('applies the first matching rule class', function() {
+                    expect(adminRow().classList.contains('admin_helper_rule_0')).to.be.true;
+                    expect(workRow().classList.contains('admin_helper_rule_1')).to.be.true;
+                });
+
+                it('generates rule styles after project styles', function() {
+                    var styles = document.getElementById('admin_helper_styles').textContent;
+
+                    expect(styles).to.have.string('tr.admin_helper_rule_1 td { background-color: #ff0000; }');
+                    expect(styles.indexOf('admin_helper_rule_')).to.be.above(styles.indexOf('admin_helper_project_'));
+                });
+
+                it('removes stale rule classes', function() {
+                    Highlight.run([adminRow()]);
+
+                    expect(workRow().className).to.equal('entry_row');
+                });
+            });
+
+            context('when torn down', function() {
+                beforeEach(function() {
+                    Highlight.run([adminRow()]);
+                    Highlight.teardown();
+                });
+
+                it('removes highlights and generated styles', function() {
+                    expect(adminRow().className).to.equal('entry_row');
+                    expect(document.getElementById('admin_helper_styles')).to.be.null;
+                });
+            });
+
+            context('when highlighting is disabled for the project', function() {
+                beforeEach(function() {
+                    Highlight.run([adminRow()], {projects: [{code: 'ADMIN', highlight: false}]});
+                });
+
+                it('does not highlight the row', function() {
+                    expect(adminRow().classList.contains('admin_helper_highlight')).to.be.false;
+                });
+            });
+        });
+
+        describe('.rule', function() {
+            var entry = {project: 'ADMIN', client: 'Acme Corp', notes: 'Hiring: Phone screen', hours: 5};
+
+            var rule = function(field, match) {
+                return Highlight.rule(entry, {highlights: [{field: field, match: match}]});
+            };
+
+            it('matches project codes ignoring case', function() {
+                expect(rule('project', 'admin')).to.not.be.null;
+                expect(rule('project', 'ADMINS')).to.be.null;
+            });
+
+            it('matches client substrings', function() {
+                expect(rule('client', 'acme')).to.not.be.null;
+                expect(rule('client', 'globex')).to.be.null;
+            });
+
+            it('matches categories', function() {
+                expect(rule('category', ' hiring ')).to.not.be.null;
+                expect(rule('category', 'Meetings')).to.be.null;
+            });
+
+            it('matches notes regular expressions', function() {
+                expect(rule('notes', 'phone\\s+screen')).to.not.be.null;
+                expect(rule('notes', '[')).to.be.null;
+            });
+
+            it('matches hours over a threshold', function() {
+                expect(rule('hours', '4')).to.not.be.null;
+                expect(rule('hours', '5')).to.be.null;
+                expect(rule('hours', 'many')).to.be.null;
+            });
+
+            it('returns the first matching rule', function() {
+                var settings = {highlights: [{field: 'hours', match: '8'}, {field: 'hours', match: '4'}, {field: 'project', match: 'ADMIN'}]};
+
+                expect(Highlight.rule(entry, settings)).to.equal(settings.highlights[1]);
+            });
+        });
+
+        describe('._ruleStyles', function() {
+            it('generates styles by rule style', function() {
+                expect(Highlight._ruleStyles([{color: '#abc', style: 'outline'}])).to.equal(
+                    '.data_table tr.admin_helper_rule_0 td:first-child { box-shadow: inset 4px 0 0 #abc; }'
+                );
+            });
+
+            it('ignores invalid colors', function() {
+                expect(Highlight._ruleStyles([{color: 'red; } body { display: none', style: 'fill'}])).to.equal('');
+            });
+
+            it('adjusts colors for the theme', function() {
+                expect(Highlight._ruleStyles([{color: '#ffffff', style: 'text'}], 'contrast')).to.equal(
+                    '.data_table tr.admin_helper_rule_0 td { color: #808080; }'
+                );
+            });
+        });
+
+        describe('._styles', function() {
+            it('ignores invalid colors', function() {
+                expect(Highlight._styles([{color: 'red; } body { display: none'}])).to.equal('');
+            });
+
+            it('adjusts colors for the theme', function() {
+                expect(Highlight._styles([{color: '#ceffcc'}], 'dark')).to.equal(
+                    '.data_table tr.admin_helper_project_0 td { background-color: #5c6d5b; }'
+                );
+            });
+        });
     });
 })();
\ No newline at end of file
@@ -0,0 +1,160 @@
+/* History Class */
+(function () {
+    'use strict';
+
+    describe('History', function () {
+        var entries = local(function() {
+            return [
+                {project: 'ADMIN', notes: 'Hiring: Interview', hours: 1, weekEnding: '02/21/14', user: 'user'},
+                {project: 'ADMIN', notes: 'Hiring: Review', hours: 0.5, weekEnding: '02/21/14', user: 'user'}
+            ];
+        });
+
+        var snapshot = function(weekEnding, totals) {
+            return {weekEnding: weekEnding, user: 'user', totals: totals, updated: 0};
+        };
+
+        afterEach(function() {
+            window.localStorage.removeItem(History.STORAGE_KEY);
+        });
+
+        describe('.snapshot', function() {
+            it('totals the week by project and category', function() {
+                var result = History.snapshot(entries(), Settings.DEFAULTS);
+
+                expect(result).to.have.property('weekEnding', '02/21/14');
+                expect(result).to.have.property('user', 'user');
+                expect(result.totals).to.eql({ADMIN: {Hiring: 1.5}});
+            });
+
+            it('returns null when the week is unknown', function() {
+                expect(History.snapshot([], Settings.DEFAULTS)).to.be.null;
+            });
+        });
+
+        describe('.record', function() {
+            it('replaces the snapshot for a revisited week', function() {
+                var history = {};
+
+                History.record(history, snapshot('02/21/14', {ADMIN: {Hiring: 1}}));
+                History.record(history, snapshot('02/21/14', {ADMIN: {Hiring: 2}}));
+
+                expect(Object.keys(history.user)).to.eql(['02/21/14']);
+                expect(history.user['02/21/14'].totals).to.eql({ADMIN: {Hiring: 2}});
+            });
+        });
+
+        describe('.weeks', function() {
+            var history = local(function() {
+                return {
+                    user: {
+                        '01/03/14': snapshot('01/03/14', {}),
+                        '12/27/13': snapshot('12/27/13', {}),
+                        '01/10/14': snapshot('01/10/14', {})
+                    }
+                };
+            });
+
+            it('returns the most recent weeks, oldest first', function() {
+                var weeks = History.weeks(history(), 'user', 2).map(function(week) {
+                    return week.weekEnding;
+                });
+
+                expect(weeks).to.eql(['01/03/14', '01/10/14']);
+            });
+
+            it('returns nothing for unknown users', function() {
+                expect(History.weeks(history(), 'other', 2)).to.eql([]);
+            });
+        });
+
+        describe('.trend', function() {
+            it('aligns category hours with weeks', function() {
+                var trend = History.trend([
+                    snapshot('01/03/14', {ADMIN: {Hiring: 1}}),
+                    snapshot('01/10/14', {ADMIN: {Meetings: 2}}),
+                    snapshot('01/17/14', {ADMIN: {Hiring: 3, Meetings: 1}})
+                ]);
+
+                expect(trend).to.eql({ADMIN: {Hiring: [1, 0, 3], Meetings: [0, 2, 1]}});
+            });
+        });
+
+        describe('.sparkline', function() {
+            it('scales values to the largest', function() {
+                expect(History.sparkline([0, 4, 8])).to.equal('▁▅█');
+            });
+
+            it('handles all zero values', function() {
+                expect(History.sparkline([0, 0])).to.equal('▁▁');
+            });
+        });
+
+        describe('.run', function() {
+            var target = local(function() {
+                var div = document.createElement('div');
+                div.innerHTML = '<span id="TSEntryInline"></span>';
+                document.body.appendChild(div);
+
+                return div;
+            }, function(item) {
+                if (item && item.parentNode) {
+                    item.parentNode.removeChild(item);
+                }
+            });
+
+            beforeEach(function() {
+                target();
+            });
+
+            it('stores the week snapshot', function() {
+                return History.run([], Settings.DEFAULTS, entries()).then(function() {
+                    return History.load();
+                }).then(function(history) {
+                    expect(history.user['02/21/14'].totals).to.eql({ADMIN: {Hiring: 1.5}});
+                });
+            });
+
+            it('does not store snapshots on read-only pages', function() {
+                Page.use('report');
+
+                return History.run([], Settings.DEFAULTS, entries()).then(function() {
+                    Page.use();
+
+                    return History.load();
+                }).then(function(history) {
+                    expect(history).to.eql({});
+                });
+            });
+
+            context('with a single recorded week', function() {
+                it('does not render the trend view', function() {
+                    return History.run([], Settings.DEFAULTS, entries()).then(function() {
+                        expect(document.getElementById('admin_helper_history')).to.be.null;
+                    });
+                });
+            });
+
+            context('with multiple recorded weeks', function() {
+                beforeEach(function() {
+                    return History.save({user: {'02/14/14': snapshot('02/14/14', {ADMIN: {Hiring: 3}})}}).then(function() {
+                        return History.run([], Settings.DEFAULTS, entries());
+                    });
+                });
+
+                it('renders the trend view', function() {
+                    var output = document.getElementById('admin_helper_history');
+
+                    expect(output.getElementsByTagName('tbody')[0].rows).to.have.length(1);
+                    expect(output.textContent).to.have.string('02/14/14');
+                });
+
+                it('replaces an existing trend view', function() {
+                    return History.run([], Settings.DEFAULTS, entries()).then(function() {
+                        expect(document.querySelectorAll('#admin_helper_history')).to.have.length(1);
+                    });
+                });
+            });
+        });
+    });
+})();
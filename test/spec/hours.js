@@ -0,0 +1,70 @@
+/* Hours Class */
+(function () {
+    'use strict';
+
+    describe('Hours', function () {
+        describe('.format', function() {
+            it('formats two decimal places by default', function() {
+                expect(Hours.format(1.5)).to.equal('1.50');
+            });
+
+            it('formats decimals with a configured precision', function() {
+                expect(Hours.format(1.256, {mode: 'decimal', precision: 1})).to.equal('1.3');
+                expect(Hours.format(1.256, {mode: 'decimal', precision: 0})).to.equal('1');
+            });
+
+            it('rounds to an increment', function() {
+                expect(Hours.format(1.3, {mode: 'rounded', increment: 0.25, direction: 'nearest'})).to.equal('1.25');
+                expect(Hours.format(1.3, {mode: 'rounded', increment: 0.5, direction: 'nearest'})).to.equal('1.5');
+                expect(Hours.format(1.34, {mode: 'rounded', increment: 0.1, direction: 'nearest'})).to.equal('1.3');
+            });
+
+            it('rounds in a configured direction', function() {
+                expect(Hours.format(1.3, {mode: 'rounded', increment: 0.25, direction: 'up'})).to.equal('1.50');
+                expect(Hours.format(1.45, {mode: 'rounded', increment: 0.25, direction: 'down'})).to.equal('1.25');
+            });
+
+            it('formats durations', function() {
+                expect(Hours.format(1.75, {mode: 'duration'})).to.equal('1:45');
+            });
+        });
+
+        describe('.round', function() {
+            it('does not round up floating point error', function() {
+                expect(Hours.round(0.3, 0.1, 'up')).to.equal(0.3);
+            });
+
+            it('rounds exact increments to themselves', function() {
+                expect(Hours.round(2.5, 0.25, 'down')).to.equal(2.5);
+            });
+        });
+
+        describe('.duration', function() {
+            it('pads minutes', function() {
+                expect(Hours.duration(2.1)).to.equal('2:06');
+            });
+
+            it('rounds to the nearest minute', function() {
+                expect(Hours.duration(0.999)).to.equal('1:00');
+            });
+
+            it('formats negative durations', function() {
+                expect(Hours.duration(-0.5)).to.equal('-0:30');
+            });
+        });
+
+        describe('.spoken', function() {
+            it('describes hours in words', function() {
+                expect(Hours.spoken(1.5)).to.equal('1.5 hours');
+            });
+
+            it('uses the singular for one hour', function() {
+                expect(Hours.spoken(1)).to.equal('1 hour');
+            });
+
+            it('rounds to two decimal places', function() {
+                expect(Hours.spoken(0.3333)).to.equal('0.33 hours');
+            });
+        });
+    });
+})();
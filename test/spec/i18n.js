@@ -0,0 +1,92 @@
+/* I18n Class */
+(function () {
+    'use strict';
+
+    describe('I18n', function () {
+        afterEach(function() {
+            I18n.use();
+        });
+
+        describe('.use', function() {
+            it('prefers the given locale', function() {
+                expect(I18n.use('fr').locale()).to.equal('fr');
+            });
+
+            it('defaults to the browser language', function() {
+                expect(I18n.use('').locale()).to.equal('en');
+            });
+        });
+
+        describe('.plural', function() {
+            it('selects plural categories for the current locale', function() {
+                expect(I18n.plural(1)).to.equal('one');
+                expect(I18n.plural(1.5)).to.equal('other');
+                expect(I18n.use('fr').plural(1.5)).to.equal('one');
+            });
+        });
+
+        describe('.message', function() {
+            it('fills placeholders', function() {
+                expect(I18n.message('problemGap', {end: '04:30PM'})).to.equal('Gap since the previous entry ended at 04:30PM');
+            });
+
+            it('does not escape values', function() {
+                expect(I18n.message('mergedFrom', {labels: '"a" & "b"'})).to.equal('(from "a" & "b")');
+            });
+
+            it('translates messages for the current locale', function() {
+                expect(I18n.use('fr').message('copy')).to.equal('Copier');
+            });
+
+            it('falls back to English messages', function() {
+                Messages.en.testOnly = 'English';
+
+                expect(I18n.use('fr').message('testOnly')).to.equal('English');
+                delete Messages.en.testOnly;
+            });
+
+            it('returns the fallback, or message name, for missing messages', function() {
+                expect(I18n.message('missing', null, 'Fallback')).to.equal('Fallback');
+                expect(I18n.message('missing')).to.equal('missing');
+            });
+        });
+
+        describe('.number', function() {
+            it('formats numbers for the current locale', function() {
+                expect(I18n.number(1234.5, {minimumFractionDigits: 2})).to.equal('1,234.50');
+                expect(I18n.use('fr').number(1.5, {minimumFractionDigits: 2})).to.equal('1,50');
+            });
+        });
+
+        context('with a French locale', function() {
+            beforeEach(function() {
+                I18n.use('fr');
+            });
+
+            it('formats decimal hours', function() {
+                expect(Hours.format(1.5)).to.equal('1,50');
+            });
+
+            it('formats durations', function() {
+                expect(Hours.format(1.75, {mode: 'duration'})).to.equal('1 h 45');
+            });
+
+            it('translates pivot labels', function() {
+                expect(Pivot.label('day', 'Monday', true)).to.equal('lun.');
+                expect(Pivot.label('category', Categorize.UNCATEGORIZED)).to.equal('Sans catégorie');
+                expect(Pivot.label('project', Pivot.NONE)).to.equal('(aucun)');
+            });
+
+            it('describes spoken hours', function() {
+                expect(Hours.spoken(1.5)).to.equal('1,5 heure');
+                expect(Hours.spoken(2)).to.equal('2 heures');
+            });
+
+            it('translates problems', function() {
+                var problems = Validate.problems([{day: 'Friday', startTime: '04:00PM', endTime: '04:30PM', hours: 1}]);
+
+                expect(problems[0].message).to.equal('1 heures saisies pour une plage de 0,5 heures');
+            });
+        });
+    });
+})();
@@ -0,0 +1,29 @@
+/* Locales Class */
+(function () {
+    'use strict';
+
+    describe('Locales', function () {
+        describe('.resolve', function() {
+            it('matches supported locales by language', function() {
+                expect(Locales.resolve(['fr-CA'])).to.equal('fr');
+            });
+
+            it('uses the first supported language', function() {
+                expect(Locales.resolve(['', 'de-DE', 'fr', 'en'])).to.equal('fr');
+            });
+
+            it('falls back to English', function() {
+                expect(Locales.resolve(['de'])).to.equal('en');
+            });
+        });
+
+        describe('.languages', function() {
+            it('lists the browser languages', function() {
+                var languages = Locales.languages();
+
+                expect(languages).to.be.an('array');
+                expect(languages[0]).to.equal(navigator.languages && navigator.languages.length ? navigator.languages[0] : navigator.language);
+            });
+        });
+    });
+})();
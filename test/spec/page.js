@@ -0,0 +1,117 @@
+/* Page Class */
+(function () {
+    'use strict';
+
+    describe('Page', function () {
+        var registered;
+
+        beforeEach(function() {
+            registered = Page.adapters;
+        });
+
+        afterEach(function() {
+            Page.adapters = registered;
+            Page.use();
+        });
+
+        describe('.register', function() {
+            beforeEach(function() {
+                Page.adapters = [];
+            });
+
+            it('fills missing fields from the defaults', function() {
+                Page.register('report', {url: /report/, params: {user: 'user'}});
+
+                expect(Page.adapters[0]).to.have.property('name', 'report');
+                expect(Page.adapters[0]).to.have.property('rows', Page.DEFAULTS.rows);
+                expect(Page.adapters[0].params).to.eql({user: 'user'});
+                expect(Page.adapters[0].form).to.be.null;
+            });
+
+            it('replaces adapters with the same name', function() {
+                Page.register('report', {url: /report/}).register('report', {url: /other/});
+
+                expect(Page.adapters).to.have.length(1);
+                expect(Page.adapters[0].url.source).to.equal('other');
+            });
+        });
+
+        describe('.detect', function() {
+            it('matches the weekly timesheet', function() {
+                expect(Page.detect('https://mainframe.nerdery.com/timesheet.php?week_ending=02/21/14').name).to.equal('timesheet');
+            });
+
+            it('matches the read-only review views', function() {
+                expect(Page.detect('https://mainframe.nerdery.com/timesheet_report.php?user=jdoe').name).to.equal('report');
+                expect(Page.detect('https://mainframe.nerdery.com/timesheet_approval.php').name).to.equal('approval');
+            });
+
+            it('matches nothing on other pages', function() {
+                expect(Page.detect('https://example.com/timesheet.php')).to.be.null;
+            });
+        });
+
+        describe('.adapter', function() {
+            it('uses the first adapter on unknown pages', function() {
+                expect(Page.adapter()).to.equal(Page.adapters[0]);
+            });
+
+            it('uses a chosen adapter', function() {
+                expect(Page.use('approval').adapter().name).to.equal('approval');
+            });
+        });
+
+        describe('.mount and .form', function() {
+            var data = local(function() {
+                var div = document.createElement('div');
+
+                div.innerHTML = '<table class="data_table">' + SpecFixtures.ADMIN_ROWS + '</table><div id="TSEntryInline"></div>';
+                document.body.appendChild(div);
+
+                return div;
+            }, function(div) {
+                if (div && div.parentNode) {
+                    div.parentNode.removeChild(div);
+                }
+            });
+
+            beforeEach(function() {
+                data();
+            });
+
+            it('finds the inline entry form on the timesheet', function() {
+                Page.use('timesheet');
+
+                expect(Page.mount().id).to.equal('TSEntryInline');
+                expect(Page.form().id).to.equal('TSEntryInline');
+            });
+
+            it('mounts before the entry table on read-only views', function() {
+                Page.use('report');
+
+                expect(Page.mount().className).to.equal('data_table');
+                expect(Page.form()).to.be.null;
+            });
+
+            it('treats views without an entry form as read-only', function() {
+                expect(Page.use('timesheet').readOnly()).to.be.false;
+                expect(Page.use('report').readOnly()).to.be.true;
+                expect(Page.use('approval').readOnly()).to.be.true;
+            });
+
+            it('finds entry rows', function() {
+                expect(Page.rows()).to.have.length(2);
+            });
+        });
+
+        describe('.param', function() {
+            it('reads query parameters', function() {
+                expect(Page.param('user', 'https://mainframe.nerdery.com/timesheet_report.php?user=jdoe')).to.equal('jdoe');
+            });
+
+            it('returns an empty string for missing parameters', function() {
+                expect(Page.param('user', 'https://mainframe.nerdery.com/timesheet_report.php')).to.equal('');
+            });
+        });
+    });
+})();
@@ -0,0 +1,128 @@
+/* Pivot Class */
+(function () {
+    'use strict';
+
+    describe('Pivot', function () {
+        var records = local(function() {
+            return [
+                {day: 'Tuesday', client: 'SIERRA', project: 'ADMIN', category: 'Hiring', hours: 2},
+                {day: 'Monday', client: 'SIERRA', project: 'ADMIN', category: 'Hiring', hours: 1.5},
+                {day: 'Tuesday', client: 'SIERRA', project: 'ADMIN', category: 'Meetings', hours: 0.25},
+                {day: 'Monday', client: 'ACME', project: 'WO151', category: '(none)', hours: 4}
+            ];
+        });
+
+        describe('.records', function() {
+            var entries = local(function() {
+                return [
+                    {day: 'Monday', client: 'SIERRA', project: 'ADMIN', notes: 'Hiring: Interview', hours: 1},
+                    {day: 'Monday', client: 'ACME', project: 'WO151', notes: 'Billable: Work', hours: 3},
+                    {day: 'Monday', client: '', project: 'ADMIN', notes: 'hiring : Review', hours: NaN}
+                ];
+            });
+
+            it('includes entries for every project', function() {
+                expect(Pivot.records(entries(), Settings.DEFAULTS)).to.eql([
+                    {day: 'Monday', client: 'SIERRA', project: 'ADMIN', category: 'Hiring', hours: 1},
+                    {day: 'Monday', client: 'ACME', project: 'WO151', category: '(none)', hours: 3}
+                ]);
+            });
+        });
+
+        describe('.layout', function() {
+            it('uses the configured layout', function() {
+                expect(Pivot.layout({pivot: {rows: ['client'], column: 'project'}})).to.eql({rows: ['client'], column: 'project'});
+            });
+
+            it('ignores unknown and repeated dimensions', function() {
+                expect(Pivot.layout({pivot: {rows: ['client', 'client', 'notes', 'day', 'project'], column: 'notes'}})).to.eql({
+                    rows: ['client', 'day'],
+                    column: 'day'
+                });
+            });
+
+            it('falls back to the default layout', function() {
+                expect(Pivot.layout({})).to.eql({rows: ['project', 'category'], column: 'day'});
+            });
+        });
+
+        describe('.keys', function() {
+            it('orders days by timesheet week', function() {
+                expect(Pivot.keys(records().concat([{day: 'Saturday'}]), 'day')).to.eql(['Saturday', 'Monday', 'Tuesday']);
+            });
+
+            it('orders other values alphabetically, with missing values last', function() {
+                expect(Pivot.keys(records(), 'category')).to.eql(['Hiring', 'Meetings', '(none)']);
+            });
+        });
+
+        describe('.table', function() {
+            context('with one row dimension', function() {
+                var table = local(function() {
+                    return Pivot.table(records(), {rows: ['client'], column: 'day'});
+                });
+
+                it('totals hours by row and column', function() {
+                    expect(table().groups.map(function(group) {
+                        return [group.key, group.cells, group.total];
+                    })).to.eql([
+                        ['ACME', {Monday: 4}, 4],
+                        ['SIERRA', {Monday: 1.5, Tuesday: 2.25}, 3.75]
+                    ]);
+                });
+
+                it('totals columns', function() {
+                    expect(table().cells).to.eql({Monday: 5.5, Tuesday: 2.25});
+                    expect(table().total).to.equal(7.75);
+                });
+
+                it('includes every day of the week as a column', function() {
+                    expect(table().columns).to.eql(Pivot.DAYS);
+                });
+
+                it('has no nested rows', function() {
+                    expect(table().groups[0].rows).to.eql([]);
+                });
+            });
+
+            context('with a day without entries', function() {
+                var table = local(function() {
+                    return Pivot.table(records().filter(function(record) {
+                        return record.day !== 'Tuesday';
+                    }), {rows: ['client'], column: 'day'});
+                });
+
+                it('keeps the day as an empty column', function() {
+                    expect(table().columns).to.include('Tuesday');
+                    expect(table().cells).to.eql({Monday: 5.5});
+                });
+            });
+
+            context('with another column dimension', function() {
+                it('only includes values found in records', function() {
+                    expect(Pivot.table(records(), {rows: ['day'], column: 'client'}).columns).to.eql(['ACME', 'SIERRA']);
+                });
+            });
+
+            context('with two row dimensions', function() {
+                var table = local(function() {
+                    return Pivot.table(records(), {rows: ['project', 'category'], column: 'day'});
+                });
+
+                it('subtotals each group', function() {
+                    expect(table().groups[0].key).to.equal('ADMIN');
+                    expect(table().groups[0].total).to.equal(3.75);
+                });
+
+                it('nests rows within groups', function() {
+                    expect(table().groups[0].rows.map(function(row) {
+                        return [row.key, row.cells, row.total];
+                    })).to.eql([
+                        ['Hiring', {Monday: 1.5, Tuesday: 2}, 3.5],
+                        ['Meetings', {Tuesday: 0.25}, 0.25]
+                    ]);
+                });
+            });
+        });
+    });
+})();
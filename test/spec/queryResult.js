@@ -29,6 +29,12 @@
                 expect(query().result).to.equal(snapshot());
             });
         });
+        describe('.fromArray', function() {
+            it('wraps array items', function() {
+                expect(QueryResult.fromArray(['aaa', 'bbb']).all()).to.eql(['aaa', 'bbb']);
+            });
+        });
+
         describe('#length', function() {
             context('when query data is empty', function() {
                 var query = local(function() {
@@ -120,8 +126,125 @@
                 it('applies callback to data items', function() {
                     expect(result()).to.eql([10, 20, 100]);
                 });
+
+                it('passes item indexes to the callback', function() {
+                    expect(query().map(function(i, index) {
+                        return index;
+                    })).to.eql([0, 1, 2]);
+                });
             });
         });
+        describe('collection helpers', function() {
+            var query = local(function() {
+                return new QueryResult(mockSnapshot([5, 10, 50]));
+            });
+
+            var empty = local(function() {
+                return new QueryResult(mockSnapshot([]));
+            });
+
+            it('filters into a new query result', function() {
+                var result = query().filter(function(i) {
+                    return i > 5;
+                });
+
+                expect(result).to.be.an.instanceof(QueryResult);
+                expect(result.all()).to.eql([10, 50]);
+            });
+
+            it('reduces items', function() {
+                expect(query().reduce(function(total, i) {
+                    return total + i;
+                }, 1)).to.equal(66);
+            });
+
+            it('checks some and every item', function() {
+                var big = function(i) {
+                    return i > 20;
+                };
+
+                expect(query().some(big)).to.be.true;
+                expect(query().every(big)).to.be.false;
+                expect(empty().every(big)).to.be.true;
+            });
+
+            it('returns the first and last items', function() {
+                expect(query().first()).to.equal(5);
+                expect(query().last()).to.equal(50);
+                expect(empty().first()).to.be.null;
+                expect(empty().last()).to.be.null;
+            });
+
+            it('groups items into query results', function() {
+                var groups = query().groupBy(function(i) {
+                    return i % 10 === 0 ? 'tens' : 'other';
+                });
+
+                expect(Object.keys(groups)).to.eql(['other', 'tens']);
+                expect(groups.tens.all()).to.eql([10, 50]);
+            });
+
+            it('sums values, ignoring non-numeric values', function() {
+                expect(query().sumBy(function(i) {
+                    return i === 10 ? 'n/a' : String(i);
+                })).to.equal(55);
+            });
+        });
+
+        describe('stale snapshots', function() {
+            var node = local(function() {
+                var node = document.createElement('span');
+                document.body.appendChild(node);
+
+                return node;
+            }, function(node) {
+                if (node && node.parentNode) {
+                    node.parentNode.removeChild(node);
+                }
+            });
+
+            var warn = local(function() {
+                return sinon.stub(console, 'warn');
+            }, function(stub) {
+                if (stub) {
+                    stub.restore();
+                }
+            });
+
+            it('is not stale while nodes are attached', function() {
+                expect(QueryResult.fromArray([node()]).isStale()).to.be.false;
+            });
+
+            it('warns once when nodes have been removed', function() {
+                var query = QueryResult.fromArray([node()]);
+                warn();
+                node().parentNode.removeChild(node());
+
+                query.all();
+                query.all();
+
+                expect(query.isStale()).to.be.true;
+                expect(warn().calledOnce).to.be.true;
+            });
+
+            it('ignores nodes which were never attached', function() {
+                expect(QueryResult.fromArray([document.createElement('span')]).isStale()).to.be.false;
+            });
+        });
+
+        describe('#toEntries', function() {
+            it('parses rows into timesheet entries', function() {
+                var table = document.createElement('table');
+                table.innerHTML = SpecFixtures.ADMIN_ROWS;
+
+                var entries = Xpath.findAll('.//tr', table).toEntries();
+
+                expect(entries.map(function(entry) {
+                    return entry.project;
+                })).to.eql(['WO151', 'ADMIN']);
+            });
+        });
+
         describe('#forEach', function() {
             var callback = local(function() {
                 return sinon.spy();
@@ -154,10 +277,10 @@
                     expect(callback().callCount).to.equal(3);
                 });
 
-                it('passes items to callback', function() {
+                it('passes items and indexes to callback', function() {
                     query().forEach(callback());
 
-                    expect(callback().args).to.eql([['aaa'],['bbb'],['ccc']]);
+                    expect(callback().args).to.eql([['aaa', 0],['bbb', 1],['ccc', 2]]);
                 });
             });
         });
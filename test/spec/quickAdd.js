@@ -0,0 +1,189 @@
+/* QuickAdd Class */
+(function () {
+    'use strict';
+
+    describe('QuickAdd', function () {
+        var snapshot = function(weekEnding, totals) {
+            return {weekEnding: weekEnding, user: 'user', totals: totals, updated: 0};
+        };
+
+        var history = local(function() {
+            return {
+                user: {
+                    '02/14/14': snapshot('02/14/14', {ADMIN: {Recruiting: 2, Uncategorized: 1}, PTO: {Vacation: 8}}),
+                    '02/21/14': snapshot('02/21/14', {ADMIN: {Meetings: 1, Recruiting: 1}})
+                },
+                other: {
+                    '02/21/14': snapshot('02/21/14', {ADMIN: {Payroll: 4}})
+                }
+            };
+        });
+
+        var form = local(function() {
+            var div = document.createElement('div');
+            div.innerHTML = '<div id="TSEntryInline">' +
+                '<select name="project"><option value="1">WO151</option><option value="2">ADMIN - Administration</option></select>' +
+                '<input type="text" name="hours" value="">' +
+                '<textarea name="notes"></textarea>' +
+                '<input type="hidden" name="ts_user" value="user">' +
+                '</div>';
+            document.body.appendChild(div);
+
+            return div;
+        }, function(div) {
+            if (div && div.parentNode) {
+                div.parentNode.removeChild(div);
+            }
+        });
+
+        var field = function(name) {
+            return form().querySelector('[name="' + name + '"]');
+        };
+
+        afterEach(function() {
+            QuickAdd.teardown();
+            window.localStorage.removeItem(History.STORAGE_KEY);
+        });
+
+        describe('.user', function() {
+            it('reads the user from the week\'s entries', function() {
+                expect(QuickAdd.user([{user: 'entry_user'}], form())).to.equal('entry_user');
+            });
+
+            it('reads the user from the entry form without entries', function() {
+                expect(QuickAdd.user([], form())).to.equal('user');
+            });
+
+            it('returns an empty string when unknown', function() {
+                expect(QuickAdd.user([], document.createElement('div'))).to.equal('');
+            });
+        });
+
+        describe('.categories', function() {
+            it('learns categories for the project from the user\'s history, sorted', function() {
+                expect(QuickAdd.categories(history(), 'user')).to.eql(['Meetings', 'Recruiting']);
+            });
+
+            it('ignores other users\' history', function() {
+                expect(QuickAdd.categories(history(), 'other')).to.eql(['Payroll']);
+                expect(QuickAdd.categories(history(), 'missing')).to.be.empty;
+            });
+
+            it('includes categories from the current week', function() {
+                expect(QuickAdd.categories(history(), 'user', {ADMIN: {Hiring: 1}})).to.eql(['Hiring', 'Meetings', 'Recruiting']);
+            });
+
+            it('returns nothing without history', function() {
+                expect(QuickAdd.categories({}, 'user')).to.be.empty;
+            });
+        });
+
+        describe('.choices', function() {
+            it('lists presets before learned categories', function() {
+                var choices = QuickAdd.choices([{category: 'Meetings', hours: 0.5, notes: 'Standup'}], ['Hiring']);
+
+                expect(choices).to.eql([
+                    {category: 'Meetings', hours: 0.5, notes: 'Standup', preset: true},
+                    {category: 'Hiring', hours: '', notes: '', preset: false}
+                ]);
+            });
+
+            it('skips learned categories with a preset', function() {
+                var choices = QuickAdd.choices([{category: 'meetings', hours: '', notes: ''}], ['Meetings']);
+
+                expect(choices).to.have.length(1);
+            });
+        });
+
+        describe('.notes', function() {
+            it('prefixes notes with the category', function() {
+                expect(QuickAdd.notes({category: 'Meetings', notes: 'Standup'})).to.equal('Meetings: Standup');
+            });
+
+            it('leaves the description empty without notes', function() {
+                expect(QuickAdd.notes({category: 'Meetings', notes: ''})).to.equal('Meetings: ');
+            });
+        });
+
+        describe('.fill', function() {
+            beforeEach(function() {
+                form();
+            });
+
+            it('fills the inline entry form', function() {
+                expect(QuickAdd.fill({category: 'Meetings', hours: 0.5, notes: 'Standup'})).to.be.true;
+
+                expect(field('project').value).to.equal('2');
+                expect(field('hours').value).to.equal('0.5');
+                expect(field('notes').value).to.equal('Meetings: Standup');
+            });
+
+            it('leaves hours unchanged for choices without hours', function() {
+                field('hours').value = '1.25';
+                QuickAdd.fill({category: 'Meetings', hours: '', notes: ''});
+
+                expect(field('hours').value).to.equal('1.25');
+            });
+
+            it('notifies page scripts of changes', function() {
+                var spy = sinon.spy();
+                field('notes').addEventListener('change', spy);
+
+                QuickAdd.fill({category: 'Meetings', hours: '', notes: ''});
+                expect(spy.calledOnce).to.be.true;
+            });
+
+            it('returns false without an entry form', function() {
+                expect(QuickAdd.fill({category: 'Meetings', hours: '', notes: ''}, document.createElement('div'))).to.be.false;
+            });
+        });
+
+        describe('.run', function() {
+            var select = function() {
+                return document.querySelector('#admin_helper_quick_add [data-quick-add]');
+            };
+
+            beforeEach(function() {
+                form();
+                window.localStorage.setItem(History.STORAGE_KEY, JSON.stringify(history()));
+            });
+
+            it('renders presets and learned categories before the entry form', function() {
+                return QuickAdd.run([], {projects: Settings.DEFAULTS.projects, presets: [{category: 'Hiring', hours: 1, notes: 'Interview'}]}).then(function() {
+                    expect(document.getElementById('admin_helper_quick_add').nextSibling.id).to.equal('TSEntryInline');
+                    expect(select().querySelectorAll('optgroup')).to.have.length(2);
+                    expect(select().options[1].text).to.equal('Hiring: Interview (1h)');
+                    expect(select().options[2].text).to.equal('Meetings');
+                });
+            });
+
+            it('renders nothing on read-only pages', function() {
+                Page.use('report');
+
+                return QuickAdd.run([], {projects: Settings.DEFAULTS.projects, presets: [{category: 'Hiring', hours: 1, notes: ''}]}).then(function() {
+                    Page.use();
+
+                    expect(document.getElementById('admin_helper_quick_add')).to.be.null;
+                });
+            });
+
+            it('fills the entry form when an entry is chosen', function() {
+                return QuickAdd.run([], {projects: Settings.DEFAULTS.projects, presets: []}).then(function() {
+                    select().value = '1';
+                    select().dispatchEvent(new Event('change', {bubbles: true}));
+
+                    expect(field('notes').value).to.equal('Recruiting: ');
+                    expect(select().value).to.equal('');
+                });
+            });
+
+            it('does not render without presets or learned categories', function() {
+                window.localStorage.removeItem(History.STORAGE_KEY);
+
+                return QuickAdd.run([], {projects: Settings.DEFAULTS.projects, presets: []}).then(function() {
+                    expect(select()).to.be.null;
+                });
+            });
+        });
+    });
+})();
@@ -0,0 +1,119 @@
+/* Settings Class */
+(function () {
+    'use strict';
+
+    describe('Settings', function () {
+        afterEach(function() {
+            window.localStorage.removeItem(Settings.STORAGE_KEY);
+        });
+
+        describe('.load', function() {
+            context('when no settings are stored', function() {
+                it('provides default settings', function() {
+                    var callback = sinon.spy();
+
+                    return Settings.load(callback).then(function() {
+                        expect(callback.firstCall.args[0]).to.eql(Settings.DEFAULTS);
+                    });
+                });
+            });
+
+            context('when settings are stored', function() {
+                var projects = local(function() {
+                    return [{code: 'PTO', color: '#ffcccc', highlight: true, summarize: false}];
+                });
+
+                beforeEach(function() {
+                    window.localStorage.setItem(Settings.STORAGE_KEY, JSON.stringify({projects: projects()}));
+                });
+
+                it('provides stored settings', function() {
+                    var callback = sinon.spy();
+
+                    return Settings.load(callback).then(function() {
+                        expect(callback.firstCall.args[0].projects).to.eql(projects());
+                    });
+                });
+
+                it('resolves with stored settings', function() {
+                    return Settings.load().then(function(settings) {
+                        expect(settings.projects).to.eql(projects());
+                    });
+                });
+            });
+
+            context('when stored settings are invalid', function() {
+                beforeEach(function() {
+                    window.localStorage.setItem(Settings.STORAGE_KEY, '{invalid');
+                });
+
+                it('provides default settings', function() {
+                    var callback = sinon.spy();
+
+                    return Settings.load(callback).then(function() {
+                        expect(callback.firstCall.args[0]).to.eql(Settings.DEFAULTS);
+                    });
+                });
+            });
+        });
+
+        describe('.save', function() {
+            var settings = local(function() {
+                return {projects: [{code: 'TRAINING', color: '#cccccc', highlight: false, summarize: true}]};
+            });
+
+            it('persists settings', function() {
+                return Settings.save(settings()).then(function() {
+                    return Settings.load();
+                }).then(function(loaded) {
+                    expect(loaded.projects).to.eql(settings().projects);
+                });
+            });
+
+            it('runs the callback once saved', function() {
+                var callback = sinon.spy();
+
+                return Settings.save(settings(), callback).then(function() {
+                    expect(callback.calledOnce).to.be.true;
+                });
+            });
+
+            it('fills missing values from defaults', function() {
+                return Settings.save(settings()).then(function() {
+                    return Settings.load();
+                }).then(function(loaded) {
+                    expect(loaded.budgets).to.eql(Settings.DEFAULTS.budgets);
+                });
+            });
+        });
+
+        describe('.watch', function() {
+            it('provides settings saved elsewhere, merged with defaults', function() {
+                var callback = sinon.spy();
+                var configure = sinon.stub(AdminHelper, 'configure');
+                var unwatch = Settings.watch(callback);
+
+                window.dispatchEvent(new StorageEvent('storage', {key: Settings.STORAGE_KEY, newValue: '{"historyWeeks":4}'}));
+                unwatch();
+                configure.restore();
+
+                expect(callback.firstCall.args[0].historyWeeks).to.equal(4);
+                expect(callback.firstCall.args[0].budgets).to.eql(Settings.DEFAULTS.budgets);
+            });
+        });
+
+        describe('.project', function() {
+            var settings = local(function() {
+                return {projects: [{code: 'ADMIN'}, {code: 'PTO'}]};
+            });
+
+            it('finds project configuration by code', function() {
+                expect(Settings.project(settings(), 'PTO')).to.equal(settings().projects[1]);
+            });
+
+            it('returns null for unknown codes', function() {
+                expect(Settings.project(settings(), 'WO151')).to.be.null;
+            });
+        });
+    });
+})();
@@ -0,0 +1,175 @@
+/* Store Class */
+(function () {
+    'use strict';
+
+    describe('Store', function () {
+        afterEach(function() {
+            window.localStorage.removeItem('admin_helper_test');
+            delete window.chrome;
+            delete window.GM;
+        });
+
+        describe('.backend', function() {
+            it('uses localStorage outside of an extension or userscript', function() {
+                expect(Store.backend().name).to.equal('local');
+            });
+
+            it('uses userscript storage when available', function() {
+                window.GM = {getValue: function() {}, setValue: function() {}};
+
+                expect(Store.backend().name).to.equal('greasemonkey');
+            });
+
+            it('prefers extension storage', function() {
+                window.GM = {getValue: function() {}, setValue: function() {}};
+                window.chrome = {runtime: {id: 'extension'}, storage: {sync: {}}};
+
+                expect(Store.backend().name).to.equal('extension');
+            });
+        });
+
+        context('with localStorage', function() {
+            it('reads stored values', function() {
+                window.localStorage.setItem('admin_helper_test', '{"a":1}');
+
+                return Store.get('admin_helper_test').then(function(value) {
+                    expect(value).to.eql({a: 1});
+                });
+            });
+
+            it('reads missing and invalid values as undefined', function() {
+                return Store.get('admin_helper_test').then(function(value) {
+                    expect(value).to.be.undefined;
+                    window.localStorage.setItem('admin_helper_test', '{invalid');
+
+                    return Store.get('admin_helper_test');
+                }).then(function(value) {
+                    expect(value).to.be.undefined;
+                });
+            });
+
+            it('stores values as JSON', function() {
+                return Store.set('admin_helper_test', [1, 2]).then(function() {
+                    expect(window.localStorage.getItem('admin_helper_test')).to.equal('[1,2]');
+                });
+            });
+
+            it('watches for changes from other pages', function() {
+                var callback = sinon.spy();
+                var unwatch = Store.watch('admin_helper_test', callback);
+
+                window.dispatchEvent(new StorageEvent('storage', {key: 'admin_helper_test', newValue: '"changed"'}));
+                window.dispatchEvent(new StorageEvent('storage', {key: 'other', newValue: '"changed"'}));
+                unwatch();
+                window.dispatchEvent(new StorageEvent('storage', {key: 'admin_helper_test', newValue: '"again"'}));
+
+                expect(callback.calledOnce).to.be.true;
+                expect(callback.calledWith('changed')).to.be.true;
+            });
+        });
+
+        context('with userscript storage', function() {
+            var values;
+
+            beforeEach(function() {
+                values = {};
+                window.GM = {
+                    getValue: function(key) {
+                        return Promise.resolve(values[key]);
+                    },
+                    setValue: function(key, value) {
+                        values[key] = value;
+                        return Promise.resolve();
+                    }
+                };
+            });
+
+            it('stores and reads values', function() {
+                return Store.set('admin_helper_test', {a: 1}).then(function() {
+                    expect(values.admin_helper_test).to.equal('{"a":1}');
+
+                    return Store.get('admin_helper_test');
+                }).then(function(value) {
+                    expect(value).to.eql({a: 1});
+                });
+            });
+
+            it('falls back to values in localStorage', function() {
+                window.localStorage.setItem('admin_helper_test', '{"a":2}');
+
+                return Store.get('admin_helper_test').then(function(value) {
+                    expect(value).to.eql({a: 2});
+                });
+            });
+        });
+
+        context('with extension storage', function() {
+            var listeners;
+
+            beforeEach(function() {
+                var items = {};
+                listeners = [];
+
+                window.chrome = {
+                    runtime: {id: 'extension'},
+                    storage: {
+                        local: {
+                            get: function(key, callback) {
+                                var result = {};
+                                result[key] = items[key];
+                                callback(result);
+                            },
+                            set: function(values, callback) {
+                                Object.keys(values).forEach(function(key) {
+                                    items[key] = values[key];
+                                });
+                                callback();
+                            }
+                        },
+                        onChanged: {
+                            addListener: function(listener) {
+                                listeners.push(listener);
+                            },
+                            removeListener: function(listener) {
+                                listeners.splice(listeners.indexOf(listener), 1);
+                            }
+                        }
+                    }
+                };
+            });
+
+            it('stores and reads values in the requested area', function() {
+                return Store.set('admin_helper_test', {a: 1}, 'local').then(function() {
+                    return Store.get('admin_helper_test', 'local');
+                }).then(function(value) {
+                    expect(value).to.eql({a: 1});
+                });
+            });
+
+            it('rejects when storage fails', function() {
+                var stub = sinon.stub(console, 'error');
+                window.chrome.runtime.lastError = {message: 'Quota exceeded'};
+
+                return Store.set('admin_helper_test', {a: 1}, 'local').then(function() {
+                    throw new Error('Expected a rejection');
+                }, function(error) {
+                    stub.restore();
+                    expect(error.message).to.equal('Quota exceeded');
+                });
+            });
+
+            it('watches for changes in the requested area', function() {
+                var callback = sinon.spy();
+                var unwatch = Store.watch('admin_helper_test', callback, 'local');
+
+                listeners[0]({admin_helper_test: {newValue: 1}}, 'sync');
+                listeners[0]({admin_helper_test: {newValue: 2}}, 'local');
+                unwatch();
+
+                expect(callback.calledOnce).to.be.true;
+                expect(callback.calledWith(2)).to.be.true;
+                expect(listeners).to.be.empty;
+            });
+        });
+    });
+})();
@@ -10,6 +10,12 @@
             }
         });
 
+        var projectTotals = local(function() {
+            return {
+                ADMIN: totals()
+            };
+        });
+
         var emptyTotals = local(function() {
             return {};
         });
@@ -37,7 +43,7 @@
 
                 context('when no admin entries exist', function() {
                     beforeEach(function() {
-                        Summarize._render(emptyTotals());
+                        Summarize._render({totals: {ADMIN: emptyTotals()}});
                     });
 
                     it('does not display summary', function() {
@@ -47,7 +53,7 @@
 
                 context('when admin entries exist', function() {
                     beforeEach(function() {
-                        Summarize._render(totals());
+                        Summarize._render({totals: projectTotals()});
                     });
 
                     it('adds helper summary to the page', function() {
@@ -59,15 +65,70 @@
                     });
 
                     it('renders summary data', function() {
-                        expect(summary().innerHTML).to.have.string('<li>a: <span class="admin_helper_hours">5.00</span></li>');
+                        expect(summary().innerHTML).to.have.string('<li data-project="ADMIN" data-category="a" title="Show matching rows" role="button" tabindex="0" aria-pressed="false" aria-label="a: 5 hours">a: <span class="admin_helper_hours">5.00</span></li>');
                         expect(summary().getElementsByTagName('li')).to.have.length(2);
                     });
+
+                    it('renders export actions', function() {
+                        expect(summary().querySelectorAll('[data-export]')).to.have.length(3);
+                    });
+
+                    it('exports entries when actions are clicked', function() {
+                        var stub = sinon.stub(Export, 'run');
+                        Summarize.entries = [];
+                        Summarize.settings = Settings.DEFAULTS;
+
+                        summary().querySelector('[data-export="json"]').click();
+
+                        expect(stub.calledWith('json', [], Settings.DEFAULTS)).to.be.true;
+                        stub.restore();
+                    });
+
+                    it('renders a heading for the project', function() {
+                        expect(summary().getElementsByTagName('h3')[0].textContent).to.equal('ADMIN');
+                    });
+                });
+
+                context('when entries exist for multiple projects', function() {
+                    beforeEach(function() {
+                        Summarize._render({totals: {ADMIN: totals(), PTO: {Vacation: 8}, TRAINING: emptyTotals()}});
+                    });
+
+                    it('renders a section for each project with entries', function() {
+                        expect(summary().getElementsByClassName('admin_helper_project')).to.have.length(2);
+                    });
+                });
+            });
+
+            context('when a summary has already been rendered', function() {
+                beforeEach(function() {
+                    document.body.appendChild(target());
+                    Summarize._render({totals: projectTotals()});
+                });
+
+                it('replaces the existing summary', function() {
+                    Summarize._render({totals: {ADMIN: {c: 1}}});
+
+                    expect(document.querySelectorAll('#admin_helper')).to.have.length(1);
+                    expect(summary().getElementsByTagName('li')).to.have.length(1);
+                });
+
+                it('removes the summary when torn down', function() {
+                    Summarize.teardown();
+
+                    expect(summary()).to.be.null;
+                });
+
+                it('removes the summary when there is nothing to display', function() {
+                    Summarize._render({totals: {}});
+
+                    expect(summary()).to.be.null;
                 });
             });
 
             context('when page has no suitable target', function() {
                 beforeEach(function() {
-                    Summarize._render(totals());
+                    Summarize._render({totals: projectTotals()});
                 });
 
                 it('adds nothing to the page', function() {
@@ -102,6 +163,24 @@
                 });
             });
 
+            context('with an hour display setting', function() {
+                afterEach(function() {
+                    Summarize.settings = Settings.DEFAULTS;
+                });
+
+                it('formats values for display', function() {
+                    Summarize.settings = {hoursFormat: {mode: 'duration'}};
+
+                    expect(Summarize._formatTotals({a: 1.25}).a).to.equal('1:15');
+                });
+
+                it('rounds each total from its unrounded sum', function() {
+                    Summarize.settings = {hoursFormat: {mode: 'rounded', increment: 0.5, direction: 'nearest'}};
+
+                    expect(Summarize._formatTotals({a: 0.2, b: 0.2, total: 0.4})).to.eql({a: '0.0', b: '0.0', total: '0.5'});
+                });
+            });
+
             context('with a specified decimal', function() {
                  var result = local(function() {
                     return Summarize._formatTotals(totals(), 9);
@@ -112,6 +191,432 @@
             })
         });
 
+        describe('.totals', function() {
+            var entries = local(function() {
+                return [
+                    {project: 'ADMIN', notes: 'Hiring: Interview', hours: 1},
+                    {project: 'ADMIN', notes: 'Hiring: Phone screen', hours: 0.5},
+                    {project: 'ADMIN', notes: 'No category', hours: 2},
+                    {project: 'PTO', notes: 'Vacation: Beach', hours: 8},
+                    {project: 'WO151', notes: 'Billable: Work', hours: 3}
+                ];
+            });
+
+            var settings = local(function() {
+                return {projects: [{code: 'ADMIN', summarize: true}, {code: 'PTO', summarize: true}]};
+            });
+
+            it('totals hours by project and note prefix', function() {
+                expect(Summarize.totals(entries(), settings())).to.eql({
+                    ADMIN: {Hiring: 1.5, Uncategorized: 2},
+                    PTO: {Vacation: 8}
+                });
+            });
+        });
+
+        describe('._renderItems', function() {
+            var settings = local(function() {
+                return {budgets: {a: 4, b: 6.5}, budgetWarning: 0.8};
+            });
+
+            var items = local(function() {
+                var list = document.createElement('ul');
+                list.innerHTML = Summarize._renderItems(totals(), settings());
+
+                return list.getElementsByTagName('li');
+            });
+
+            it('renders budget usage', function() {
+                expect(items()[0].textContent).to.equal('a: 5.00 of 4.00 (1.00 over)');
+                expect(items()[1].textContent).to.equal('b: 6.00 of 6.50 (0.50 remaining)');
+            });
+
+            it('applies budget status classes', function() {
+                expect(items()[0].className).to.equal('admin_helper_budget_over');
+                expect(items()[1].className).to.equal('admin_helper_budget_warning');
+            });
+
+            it('renders plain totals for categories without a budget', function() {
+                expect(Summarize._renderItems({c: 1}, settings())).to.equal('<li>c: <span class="admin_helper_hours">1.00</span></li>');
+            });
+        });
+
+        describe('._renderMerged', function() {
+            it('lists merged labels', function() {
+                expect(Summarize._renderMerged('Recruiting', ['Recruiting', 'recruit'])).to.equal(' <span class="admin_helper_merged">(from &quot;Recruiting&quot;, &quot;recruit&quot;)</span>');
+            });
+
+            it('renders nothing when the label matches the category', function() {
+                expect(Summarize._renderMerged('Recruiting', ['Recruiting'])).to.equal('');
+            });
+        });
+
+        describe('._renderPivotTable', function() {
+            var layout = {rows: ['project', 'category'], column: 'day'};
+
+            var table = local(function() {
+                var div = document.createElement('div');
+                div.innerHTML = Summarize._renderPivotTable(Pivot.table([
+                    {project: 'ADMIN', category: 'Hiring', day: 'Monday', hours: 1.5},
+                    {project: 'ADMIN', category: 'Hiring', day: 'Tuesday', hours: 2},
+                    {project: 'ADMIN', category: 'Meetings', day: 'Tuesday', hours: 0.25},
+                    {project: 'PTO', category: 'Vacation', day: 'Monday', hours: 8}
+                ], layout), layout);
+
+                return div.firstChild;
+            });
+
+            var cells = function(row) {
+                return Array.prototype.map.call(row.getElementsByTagName('td'), function(cell) {
+                    return cell.textContent;
+                });
+            };
+
+            it('includes a column for every day of the week', function() {
+                expect(table().tHead.rows[0].textContent).to.equal('SatSunMonTueWedThuFriTotal');
+            });
+
+            it('renders group subtotals', function() {
+                var row = table().tBodies[0].rows[0];
+
+                expect(row.className).to.equal('admin_helper_subtotal');
+                expect(cells(row)).to.eql(['0.00', '0.00', '1.50', '2.25', '0.00', '0.00', '0.00', '3.75']);
+            });
+
+            it('renders nested rows with zero hours for empty cells', function() {
+                var row = table().tBodies[0].rows[2];
+
+                expect(row.className).to.equal('admin_helper_nested');
+                expect(cells(row)).to.eql(['0.00', '0.00', '0.00', '0.25', '0.00', '0.00', '0.00', '0.25']);
+            });
+
+            it('renders column and grand totals', function() {
+                expect(cells(table().tFoot.rows[0])).to.eql(['0.00', '0.00', '9.50', '2.25', '0.00', '0.00', '0.00', '11.75']);
+            });
+
+            it('renders plain rows with a single row dimension', function() {
+                var html = Summarize._renderPivotTable(Pivot.table([{client: 'ACME', project: 'WO151', hours: 1}], {rows: ['client'], column: 'project'}), {rows: ['client'], column: 'project'});
+
+                expect(html).to.have.string('<tr><th scope="row">ACME</th><td class="admin_helper_hours">1.00</td>');
+                expect(html).to.have.string('<th scope="col" title="WO151" aria-label="WO151">WO151</th>');
+            });
+        });
+
+        describe('pivot layout controls', function() {
+            var target = local(function() {
+                var div = document.createElement('div');
+                div.innerHTML = '<span id="TSEntryInline"></span>';
+                document.body.appendChild(div);
+
+                return div;
+            }, function(item) {
+                if (item && item.parentNode) {
+                    item.parentNode.removeChild(item);
+                }
+            });
+
+            var save = local(function() {
+                return sinon.stub(Settings, 'save');
+            }, function(stub) {
+                if (stub) {
+                    stub.restore();
+                }
+            });
+
+            var change = function(name, value) {
+                var select = document.querySelector('[data-pivot="' + name + '"]');
+                select.value = value;
+
+                return Summarize._onChange({target: select, currentTarget: document.getElementById(Summarize.OUTPUT_ID)});
+            };
+
+            beforeEach(function() {
+                target();
+                save();
+                window.localStorage.removeItem(Summarize.PIVOT_KEY);
+                Summarize.layout = null;
+                Summarize.settings = Settings.DEFAULTS;
+                Summarize._render({totals: {}, pivot: [{day: 'Monday', client: 'ACME', project: 'WO151', category: '(none)', hours: 1}]}, Settings.DEFAULTS);
+            });
+
+            afterEach(function() {
+                Summarize.layout = null;
+                window.localStorage.removeItem(Summarize.PIVOT_KEY);
+            });
+
+            it('renders the pivot without category totals', function() {
+                expect(document.querySelectorAll('#admin_helper .admin_helper_pivot_table')).to.have.length(1);
+            });
+
+            it('selects the configured layout', function() {
+                expect(document.querySelector('[data-pivot="group"]').value).to.equal('category');
+            });
+
+            it('re-renders the table when the layout is changed', function() {
+                var select = document.querySelector('[data-pivot="column"]');
+                select.value = 'client';
+                select.dispatchEvent(new Event('change', {bubbles: true}));
+
+                expect(document.querySelector('.admin_helper_pivot_table thead').textContent).to.equal('ACMETotal');
+            });
+
+            it('stores only the layout, leaving settings unsaved', function() {
+                return change('column', 'client').then(function() {
+                    return Store.get(Summarize.PIVOT_KEY);
+                }).then(function(layout) {
+                    expect(layout).to.eql({rows: ['project', 'category'], column: 'client'});
+                    expect(save().called).to.be.false;
+                    expect(Summarize.settings).to.equal(Settings.DEFAULTS);
+                    expect(Settings.DEFAULTS.pivot.column).to.equal('day');
+                });
+            });
+
+            it('keeps the chosen layout when the summary is refreshed', function() {
+                return change('row', 'client').then(function() {
+                    Summarize._render({totals: {}, pivot: [{day: 'Monday', client: 'ACME', project: 'WO151', category: '(none)', hours: 1}]}, Settings.DEFAULTS);
+
+                    expect(document.querySelector('[data-pivot="row"]').value).to.equal('client');
+                });
+            });
+
+            it('renders the stored layout once loaded', function() {
+                window.localStorage.setItem(Summarize.PIVOT_KEY, JSON.stringify({rows: ['client'], column: 'project'}));
+
+                return Summarize.setup().then(function() {
+                    expect(document.querySelector('[data-pivot="row"]').value).to.equal('client');
+                    expect(document.querySelector('[data-pivot="group"]').value).to.equal('');
+                    expect(document.querySelector('.admin_helper_pivot_table thead').textContent).to.equal('WO151Total');
+                });
+            });
+
+            context('when storage fails', function() {
+                var stubs = local(function() {
+                    return [
+                        sinon.stub(console, 'error'),
+                        sinon.stub(Store, 'set').returns(Promise.reject(new Error('quota')))
+                    ];
+                }, function(stubs) {
+                    (stubs || []).forEach(function(stub) {
+                        stub.restore();
+                    });
+                });
+
+                it('logs layouts which cannot be stored', function() {
+                    var error = stubs()[0];
+
+                    return change('column', 'client').then(function() {
+                        expect(error.calledOnce).to.be.true;
+                        expect(Summarize.layout).to.eql({rows: ['project', 'category'], column: 'client'});
+                    });
+                });
+            });
+        });
+
+        describe('interactive categories', function() {
+            var data = local(function() {
+                var div = document.createElement('div');
+
+                div.innerHTML = '<table>' + SpecFixtures.ADMIN_ROWS + '</table><span id="TSEntryInline"></span>';
+                document.body.appendChild(div);
+
+                return div;
+            }, function(div) {
+                if (div && div.parentNode) {
+                    div.parentNode.removeChild(div);
+                }
+            });
+
+            var rows = local(function() {
+                return Array.prototype.slice.call(data().getElementsByTagName('tr'));
+            });
+
+            var item = local(function() {
+                return document.querySelector('#admin_helper [data-category="First Client"]');
+            });
+
+            var hidden = function() {
+                return rows().filter(function(row) {
+                    return row.classList.contains(Summarize.HIDDEN_CLASS);
+                }).length;
+            };
+
+            beforeEach(function() {
+                window.localStorage.removeItem(Summarize.COLLAPSED_KEY);
+                Summarize.collapsed = null;
+                Summarize.run(rows(), Settings.DEFAULTS);
+            });
+
+            afterEach(function() {
+                Summarize.teardown();
+                Summarize.collapsed = null;
+                window.localStorage.removeItem(Summarize.COLLAPSED_KEY);
+            });
+
+            it('finds the rows contributing to a category', function() {
+                expect(Summarize.rows('ADMIN', 'First Client')).to.have.length(1);
+                expect(Summarize.rows('ADMIN', 'Missing')).to.be.empty;
+            });
+
+            it('outlines contributing rows on hover', function() {
+                item().dispatchEvent(new Event('mouseover', {bubbles: true}));
+
+                expect(document.getElementsByClassName(Summarize.OUTLINE_CLASS)).to.have.length(1);
+            });
+
+            it('removes outlines when the pointer leaves the summary', function() {
+                item().dispatchEvent(new Event('mouseover', {bubbles: true}));
+                document.getElementById('admin_helper').dispatchEvent(new Event('mouseleave'));
+
+                expect(document.getElementsByClassName(Summarize.OUTLINE_CLASS)).to.be.empty;
+            });
+
+            it('filters the timesheet to contributing rows when clicked', function() {
+                item().click();
+
+                expect(hidden()).to.equal(rows().length - 1);
+                expect(item().classList.contains(Summarize.ACTIVE_CLASS)).to.be.true;
+                expect(document.querySelectorAll('#admin_helper [data-reset]')).to.have.length(1);
+            });
+
+            it('shows all rows when reset', function() {
+                item().click();
+                document.querySelector('#admin_helper [data-reset]').click();
+
+                expect(hidden()).to.equal(0);
+                expect(document.querySelectorAll('#admin_helper [data-reset]')).to.be.empty;
+            });
+
+            it('shows all rows when the active category is clicked again', function() {
+                item().click();
+                item().click();
+
+                expect(hidden()).to.equal(0);
+            });
+
+            it('keeps the filter when the summary is refreshed', function() {
+                item().click();
+                Summarize.run(rows(), Settings.DEFAULTS);
+
+                expect(hidden()).to.equal(rows().length - 1);
+                expect(item().classList.contains(Summarize.ACTIVE_CLASS)).to.be.true;
+            });
+
+            it('renders a region labelled by its heading', function() {
+                var output = document.getElementById('admin_helper');
+
+                expect(output.tagName).to.equal('SECTION');
+                expect(document.getElementById(output.getAttribute('aria-labelledby')).textContent).to.equal('Admin hours');
+                expect(output.querySelector('.admin_helper_filter').getAttribute('role')).to.equal('status');
+            });
+
+            it('labels category totals with spoken hours', function() {
+                expect(item().getAttribute('aria-label')).to.equal('First Client: 0.75 hours');
+            });
+
+            it('marks the active category as pressed', function() {
+                item().click();
+
+                expect(item().getAttribute('aria-pressed')).to.equal('true');
+            });
+
+            it('filters with the keyboard', function() {
+                item().dispatchEvent(new KeyboardEvent('keydown', {key: 'Enter', bubbles: true}));
+
+                expect(hidden()).to.equal(rows().length - 1);
+            });
+
+            it('resets the filter with escape, focusing the category', function() {
+                item().click();
+                document.querySelector('#admin_helper [data-reset]').focus();
+                document.activeElement.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape', bubbles: true}));
+
+                expect(hidden()).to.equal(0);
+                expect(document.activeElement).to.equal(item());
+            });
+
+            it('keeps keyboard focus when the summary is refreshed', function() {
+                item().focus();
+                Summarize.run(rows(), Settings.DEFAULTS);
+
+                expect(document.activeElement).not.to.equal(item());
+                expect(document.activeElement.getAttribute('data-category')).to.equal('First Client');
+            });
+
+            it('outlines contributing rows on focus', function() {
+                item().focus();
+
+                expect(document.getElementsByClassName(Summarize.OUTLINE_CLASS)).to.have.length(1);
+            });
+
+            it('shows all rows on teardown', function() {
+                item().click();
+                Summarize.teardown();
+
+                expect(hidden()).to.equal(0);
+            });
+
+            it('collapses sections and remembers their state', function() {
+                document.querySelector('#admin_helper [data-toggle="project:ADMIN"]').click();
+                Summarize.run(rows(), Settings.DEFAULTS);
+
+                var section = document.querySelector('#admin_helper [data-section="project:ADMIN"]');
+                expect(section.classList.contains(Summarize.COLLAPSED_CLASS)).to.be.true;
+                expect(section.querySelector('[data-toggle]').getAttribute('aria-expanded')).to.equal('false');
+            });
+
+            it('expands collapsed sections', function() {
+                document.querySelector('#admin_helper [data-toggle="pivot"]').click();
+                document.querySelector('#admin_helper [data-toggle="pivot"]').click();
+
+                expect(JSON.parse(window.localStorage.getItem(Summarize.COLLAPSED_KEY))).to.eql({});
+                expect(document.querySelector('#admin_helper .admin_helper_pivot').classList.contains(Summarize.COLLAPSED_CLASS)).to.be.false;
+            });
+
+            it('stores collapsed sections', function() {
+                var toggle = document.querySelector('#admin_helper [data-toggle="pivot"]');
+
+                return Summarize._toggle(toggle).then(function() {
+                    return Store.get(Summarize.COLLAPSED_KEY, 'local');
+                }).then(function(collapsed) {
+                    expect(collapsed).to.eql({pivot: true});
+                });
+            });
+
+            it('collapses rendered sections once stored state is loaded', function() {
+                window.localStorage.setItem(Summarize.COLLAPSED_KEY, JSON.stringify({'project:ADMIN': true}));
+
+                return Summarize.setup().then(function() {
+                    var section = document.querySelector('#admin_helper [data-section="project:ADMIN"]');
+
+                    expect(section.classList.contains(Summarize.COLLAPSED_CLASS)).to.be.true;
+                    expect(section.querySelector('[data-toggle]').getAttribute('aria-expanded')).to.equal('false');
+                });
+            });
+
+            context('when storage fails', function() {
+                var stubs = local(function() {
+                    return [
+                        sinon.stub(console, 'error'),
+                        sinon.stub(Store, 'set').returns(Promise.reject(new Error('quota')))
+                    ];
+                }, function(stubs) {
+                    (stubs || []).forEach(function(stub) {
+                        stub.restore();
+                    });
+                });
+
+                it('logs collapsed sections which cannot be stored', function() {
+                    var toggle = document.querySelector('#admin_helper [data-toggle="pivot"]');
+                    var error = stubs()[0];
+
+                    return Summarize._toggle(toggle).then(function() {
+                        expect(error.calledOnce).to.be.true;
+                        expect(toggle.getAttribute('aria-expanded')).to.equal('false');
+                    });
+                });
+            });
+        });
+
         describe('.run', function() {
             var data = local(function() {
                 var table = document.createElement('table');
@@ -152,7 +657,26 @@
                 var spy = sinon.stub(Summarize, '_render');
 
                 Summarize.run(rows());
-                expect(spy.firstCall.calledWithExactly({'First Client': 0.75})).to.be.true;
+                expect(spy.firstCall.args[0].totals).to.eql({ADMIN: {'First Client': 0.75}});
+                spy.restore();
+            });
+
+            it('parses all timesheet rows for pivot records', function() {
+                var spy = sinon.stub(Summarize, '_render');
+
+                Summarize.run(rows());
+                expect(spy.firstCall.args[0].pivot).to.eql([
+                    {day: 'Friday', client: 'NOTSIERRA', project: 'WO151', category: '(none)', hours: 0.75},
+                    {day: 'Friday', client: 'SIERRA', project: 'ADMIN', category: 'First Client', hours: 0.75}
+                ]);
+                spy.restore();
+            });
+
+            it('skips projects with summaries disabled', function() {
+                var spy = sinon.stub(Summarize, '_render');
+
+                Summarize.run(rows(), {projects: [{code: 'ADMIN', summarize: false}]});
+                expect(spy.firstCall.args[0].totals).to.eql({});
                 spy.restore();
             });
         });
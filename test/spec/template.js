@@ -35,6 +35,149 @@
             });
         });
 
+        describe('.render with variables', function() {
+            it('leaves unknown tags and literal braces in place', function() {
+                expect(Template.render('{missing} td { color: {color}; }', {color: 'red'})).to.equal('{missing} td { color: red; }');
+            });
+
+            it('matches keys containing regular expression characters', function() {
+                expect(Template.render('{a+b} {a}', {'a+b': 1, a: 2})).to.equal('1 2');
+            });
+
+            it('renders dotted paths', function() {
+                expect(Template.render('{entry.client}', {entry: {client: 'ACME'}})).to.equal('ACME');
+            });
+
+            it('renders missing nested values as empty strings', function() {
+                expect(Template.render('[{entry.client.name}]', {entry: {}})).to.equal('[]');
+            });
+        });
+
+        describe('.render with filters', function() {
+            it('formats fixed decimals', function() {
+                expect(Template.render('{hours|fixed:2} {hours|fixed}', {hours: 1.5})).to.equal('1.50 1.50');
+            });
+
+            it('truncates long values', function() {
+                expect(Template.render('{notes|truncate:8}', {notes: 'Meeting with client'})).to.equal('Meeting\u2026');
+                expect(Template.render('{notes|truncate:8}', {notes: 'Standup'})).to.equal('Standup');
+            });
+
+            it('applies filters in order', function() {
+                expect(Template.render('{notes|truncate:4,|upper}', {notes: 'hiring'})).to.equal('HIRI');
+            });
+
+            it('renders raw values with the raw filter', function() {
+                expect(Template.render('{html|raw} {html}', {html: '<b>'})).to.equal('<b> &lt;b&gt;');
+            });
+
+            it('throws for unknown filters', function() {
+                expect(function() {
+                    Template.render('{hours|bogus}', {hours: 1});
+                }).to.throw('Template: unknown filter "bogus"');
+            });
+        });
+
+        describe('.render with sections', function() {
+            it('iterates arrays, escaping values', function() {
+                expect(Template.render('{#each items}<li>{@index}: {name}</li>{/each}', {
+                    items: [{name: 'a'}, {name: '<b>'}]
+                })).to.equal('<li>0: a</li><li>1: &lt;b&gt;</li>');
+            });
+
+            it('iterates object values', function() {
+                expect(Template.render('{#each totals}{@key}={.};{/each}', {totals: {Hiring: 1, Meetings: 2}})).to.equal('Hiring=1;Meetings=2;');
+            });
+
+            it('looks up variables in outer scopes', function() {
+                expect(Template.render('{#each items}{.}{unit} {/each}', {items: [1, 2], unit: 'h'})).to.equal('1h 2h ');
+            });
+
+            it('renders else blocks for empty iterations', function() {
+                expect(Template.render('{#each items}{.}{:else}None{/each}', {items: []})).to.equal('None');
+            });
+
+            it('renders conditionals', function() {
+                var template = '{#if over}Over{:else}OK{/if}';
+
+                expect(Template.render(template, {over: true})).to.equal('Over');
+                expect(Template.render(template, {over: false})).to.equal('OK');
+                expect(Template.render('{#if items}Some{/if}', {items: []})).to.equal('');
+            });
+
+            it('nests sections', function() {
+                expect(Template.render('{#each projects}{code}:{#each categories}{#if hours}{name}{/if}{/each};{/each}', {
+                    projects: [{code: 'ADMIN', categories: [{name: 'Hiring', hours: 1}, {name: 'Meetings', hours: 0}]}]
+                })).to.equal('ADMIN:Hiring;');
+            });
+
+            it('throws for unclosed sections', function() {
+                expect(function() {
+                    Template.render('{#each items}{.}', {items: []});
+                }).to.throw('Template: unclosed {#each items}');
+            });
+
+            it('throws for mismatched closing tags', function() {
+                expect(function() {
+                    Template.render('{#each items}{.}{/if}', {items: []});
+                }).to.throw('Template: unexpected {/if} in {#each items}');
+            });
+        });
+
+        describe('.partial', function() {
+            beforeEach(function() {
+                Template.partial('spec_item', '<li>{name}</li>');
+            });
+
+            it('renders partials with the current variables', function() {
+                expect(Template.render('{#each items}{>spec_item}{/each}', {items: [{name: 'a'}, {name: 'b'}]})).to.equal('<li>a</li><li>b</li>');
+            });
+
+            it('throws for unknown partials', function() {
+                expect(function() {
+                    Template.render('{>spec_missing}', {});
+                }).to.throw('Template: unknown partial "spec_missing"');
+            });
+
+            it('throws for partials which include themselves', function() {
+                Template.partial('spec_recursive', '<li>{>spec_recursive}</li>');
+
+                expect(function() {
+                    Template.render('{>spec_recursive}', {});
+                }).to.throw('Template: partial "spec_recursive" nested more than 20 levels deep, it may include itself');
+            });
+
+            it('renders partials again after a recursion error', function() {
+                Template.partial('spec_recursive', '{>spec_recursive}');
+
+                expect(function() {
+                    Template.render('{>spec_recursive}', {});
+                }).to.throw();
+                expect(Template.render('{>spec_item}', {name: 'a'})).to.equal('<li>a</li>');
+            });
+        });
+
+        describe('.render cache', function() {
+            it('discards the oldest compiled templates', function() {
+                for (var i = 0; i <= Template.CACHE_SIZE; i++) {
+                    Template.render('spec {i} ' + i, {i: i});
+                }
+
+                expect(Template._cached).to.have.length(Template.CACHE_SIZE);
+                expect(Template._compiled).to.not.have.property('spec {i} 0');
+                expect(Template._compiled).to.have.property('spec {i} ' + Template.CACHE_SIZE);
+            });
+        });
+
+        describe('.compile', function() {
+            it('returns a reusable render function', function() {
+                var item = Template.compile('<li>{category}: {hours|fixed:2}</li>');
+
+                expect(item({category: 'Hiring', hours: 1.5})).to.equal('<li>Hiring: 1.50</li>');
+                expect(item({category: '<Meetings>', hours: 2}, true)).to.equal('<li><Meetings>: 2.00</li>');
+            });
+        });
+
         describe('.renderObject', function() {
             context('when escaping html', function() {
                 var result = local(function() {
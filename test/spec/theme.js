@@ -0,0 +1,99 @@
+/* Theme Class */
+(function () {
+    'use strict';
+
+    describe('Theme', function () {
+        var root = document.documentElement;
+        var matchMedia = window.matchMedia;
+
+        var prefer = function(matches) {
+            window.matchMedia = function(query) {
+                return {
+                    matches: matches.indexOf(query) !== -1,
+                    addEventListener: sinon.spy(),
+                    removeEventListener: sinon.spy()
+                };
+            };
+        };
+
+        afterEach(function() {
+            window.matchMedia = matchMedia;
+            Theme.apply(Theme.DEFAULT_THEME);
+        });
+
+        describe('.resolve', function() {
+            it('uses known themes', function() {
+                expect(Theme.resolve('dark')).to.equal('dark');
+            });
+
+            it('defaults to the light theme', function() {
+                window.matchMedia = undefined;
+
+                expect(Theme.resolve('auto')).to.equal('light');
+            });
+
+            it('follows an operating system dark mode', function() {
+                prefer([Theme.QUERIES[1].query]);
+
+                expect(Theme.resolve('auto')).to.equal('dark');
+            });
+
+            it('prefers high contrast to dark mode', function() {
+                prefer([Theme.QUERIES[0].query, Theme.QUERIES[1].query]);
+
+                expect(Theme.resolve('')).to.equal('contrast');
+            });
+        });
+
+        describe('.apply', function() {
+            it('replaces the theme class on the document element', function() {
+                Theme.apply('dark');
+                Theme.apply('contrast');
+
+                expect(root.classList.contains('admin_helper_theme_contrast')).to.be.true;
+                expect(root.classList.contains('admin_helper_theme_dark')).to.be.false;
+            });
+        });
+
+        describe('.watch', function() {
+            var lists;
+
+            beforeEach(function() {
+                lists = [];
+                window.matchMedia = function() {
+                    var list = {addEventListener: sinon.spy(), removeEventListener: sinon.spy()};
+
+                    lists.push(list);
+
+                    return list;
+                };
+            });
+
+            it('listens for changes to each query', function() {
+                var callback = function() {};
+                var unwatch = Theme.watch(callback);
+
+                expect(lists).to.have.length(Theme.QUERIES.length);
+                expect(lists[0].addEventListener.calledWith('change', callback)).to.be.true;
+
+                unwatch();
+
+                expect(lists[0].removeEventListener.calledWith('change', callback)).to.be.true;
+            });
+        });
+
+        describe('.color', function() {
+            it('keeps colors for the light theme', function() {
+                expect(Theme.color('#ceffcc', 'background', 'light')).to.equal('#ceffcc');
+            });
+
+            it('darkens backgrounds for the dark theme', function() {
+                expect(Theme.color('#ceffcc', 'background', 'dark')).to.equal('#5c6d5b');
+            });
+
+            it('expands short hex colors', function() {
+                expect(Theme.color('#fff', 'text', 'contrast')).to.equal('#808080');
+            });
+        });
+    });
+})();
@@ -0,0 +1,97 @@
+/* TimesheetEntry Class */
+(function () {
+    'use strict';
+
+    describe('TimesheetEntry', function () {
+        var data = local(function() {
+            var table = document.createElement('table');
+
+            table.innerHTML = SpecFixtures.ADMIN_ROWS;
+
+            return table;
+        });
+
+        var rows = local(function() {
+            return data().getElementsByTagName('tr');
+        });
+
+        describe('.parse', function () {
+            var entry = local(function() {
+                return TimesheetEntry.parse(rows()[1]);
+            });
+
+            it('keeps the source row', function() {
+                expect(entry().row).to.equal(rows()[1]);
+            });
+
+            it('parses cell text', function() {
+                expect(entry()).to.have.property('day', 'Friday');
+                expect(entry()).to.have.property('startTime', '05:00PM');
+                expect(entry()).to.have.property('endTime', '05:45PM');
+                expect(entry()).to.have.property('client', 'SIERRA');
+                expect(entry()).to.have.property('project', 'ADMIN');
+                expect(entry()).to.have.property('notes', 'First Client: Meeting with client to discuss future feature set.');
+            });
+
+            it('parses hours as a number', function() {
+                expect(entry()).to.have.property('hours', 0.75);
+            });
+
+            it('parses hidden inputs', function() {
+                expect(entry()).to.have.property('id', 'user*111');
+                expect(entry()).to.have.property('weekEnding', '02/21/14');
+                expect(entry()).to.have.property('user', 'user');
+            });
+
+            it('reads fields missing from the row from the page URL', function() {
+                var param = sinon.stub(Page, 'param').returns('');
+                param.withArgs('user').returns('jdoe');
+
+                var parsed = TimesheetEntry.parse(rows()[1], {
+                    cells: {project: 'td[contains(@class, "project")]'},
+                    inputs: {id: 'id'},
+                    params: {id: 'id', user: 'user'}
+                });
+
+                param.restore();
+
+                expect(parsed).to.have.property('project', 'ADMIN');
+                expect(parsed).to.have.property('id', 'user*111');
+                expect(parsed).to.have.property('user', 'jdoe');
+            });
+
+            context('when hours are not a valid number', function() {
+                var entry = local(function() {
+                    var row = document.createElement('tr');
+                    row.innerHTML = '<td class="hours">1.5h</td>';
+
+                    return TimesheetEntry.parse(row);
+                });
+
+                it('parses hours as NaN', function() {
+                    expect(isNaN(entry().hours)).to.be.true;
+                });
+            });
+
+            context('when cells are missing', function() {
+                var entry = local(function() {
+                    return TimesheetEntry.parse(document.createElement('tr'));
+                });
+
+                it('uses empty values', function() {
+                    expect(entry()).to.have.property('notes', '');
+                    expect(entry()).to.have.property('id', '');
+                });
+            });
+        });
+
+        describe('.parseAll', function() {
+            it('parses each row', function() {
+                var entries = TimesheetEntry.parseAll(Xpath.findAll('.//tr', data()));
+
+                expect(entries).to.have.length(2);
+                expect(entries[0]).to.have.property('project', 'WO151');
+            });
+        });
+    });
+})();
@@ -0,0 +1,142 @@
+/* Validate Class */
+(function () {
+    'use strict';
+
+    describe('Validate', function () {
+        var entry = function(day, start, end, hours) {
+            return {day: day, startTime: start, endTime: end, hours: hours, row: document.createElement('tr')};
+        };
+
+        var types = function(problems) {
+            return problems.map(function(problem) {
+                return problem.type;
+            });
+        };
+
+        describe('.minutes', function() {
+            it('parses 12 hour times', function() {
+                expect(Validate.minutes('01:15PM')).to.equal(795);
+                expect(Validate.minutes('4:30 am')).to.equal(270);
+            });
+
+            it('parses noon and midnight', function() {
+                expect(Validate.minutes('12:00PM')).to.equal(720);
+                expect(Validate.minutes('12:30AM')).to.equal(30);
+            });
+
+            it('parses 24 hour times', function() {
+                expect(Validate.minutes('16:45')).to.equal(1005);
+            });
+
+            it('rejects invalid times', function() {
+                expect(Validate.minutes('')).to.be.null;
+                expect(Validate.minutes('13:00PM')).to.be.null;
+                expect(Validate.minutes('10:75')).to.be.null;
+            });
+        });
+
+        describe('.problems', function() {
+            it('accepts consistent entries', function() {
+                var problems = Validate.problems([
+                    entry('Monday', '09:00AM', '10:00AM', 1),
+                    entry('Monday', '10:00AM', '11:30AM', 1.5),
+                    entry('Tuesday', '09:00AM', '09:15AM', 0.25)
+                ]);
+
+                expect(problems).to.eql([]);
+            });
+
+            it('flags hours not matching the time span', function() {
+                var problems = Validate.problems([entry('Monday', '04:00PM', '04:30PM', 0.75)]);
+
+                expect(types(problems)).to.eql(['span']);
+                expect(problems[0].message).to.equal('0.75 hours entered for a 0.5 hour time span');
+            });
+
+            it('flags invalid hours', function() {
+                expect(types(Validate.problems([entry('Monday', '09:00AM', '10:00AM', NaN)]))).to.eql(['hours']);
+            });
+
+            it('flags invalid times', function() {
+                expect(types(Validate.problems([entry('Monday', 'soon', '10:00AM', 1)]))).to.eql(['time']);
+            });
+
+            it('flags overlapping entries on the same day', function() {
+                var problems = Validate.problems([
+                    entry('Monday', '09:00AM', '10:00AM', 1),
+                    entry('Monday', '09:30AM', '10:30AM', 1)
+                ]);
+
+                expect(types(problems)).to.eql(['overlap']);
+                expect(problems[0].entry.startTime).to.equal('09:30AM');
+            });
+
+            it('flags gaps between entries on the same day', function() {
+                var problems = Validate.problems([
+                    entry('Monday', '01:00PM', '02:00PM', 1),
+                    entry('Monday', '09:00AM', '12:00PM', 3)
+                ]);
+
+                expect(types(problems)).to.eql(['gap']);
+                expect(problems[0].entry.startTime).to.equal('01:00PM');
+            });
+
+            it('does not compare entries on different days', function() {
+                var problems = Validate.problems([
+                    entry('Monday', '09:00AM', '10:00AM', 1),
+                    entry('Tuesday', '09:30AM', '10:30AM', 1)
+                ]);
+
+                expect(problems).to.eql([]);
+            });
+        });
+
+        describe('.run', function() {
+            var data = local(function() {
+                var div = document.createElement('div');
+                div.innerHTML = '<div id="admin_helper"></div><span id="TSEntryInline"></span><table class="data_table">' + SpecFixtures.ADMIN_ROWS + '</table>';
+                document.body.appendChild(div);
+
+                return div;
+            }, function(div) {
+                if (div && div.parentNode) {
+                    div.parentNode.removeChild(div);
+                }
+            });
+
+            var rows = local(function() {
+                return data().getElementsByTagName('tr');
+            });
+
+            beforeEach(function() {
+                data();
+                Validate.run();
+            });
+
+            it('marks rows with problems', function() {
+                expect(rows()[0].classList.contains('admin_helper_problem')).to.be.true;
+                expect(rows()[0].getElementsByClassName('admin_helper_marker')).to.have.length(1);
+            });
+
+            it('explains problems in the marker title', function() {
+                var marker = rows()[1].getElementsByClassName('admin_helper_marker')[0];
+
+                expect(marker.getAttribute('title')).to.equal('Gap since the previous entry ended at 04:30PM');
+            });
+
+            it('lists problems in the summary', function() {
+                var list = document.getElementById('admin_helper_problems');
+
+                expect(list.parentNode.id).to.equal('admin_helper');
+                expect(list.getElementsByTagName('li')).to.have.length(2);
+            });
+
+            it('replaces markers and problems on later runs', function() {
+                Validate.run();
+
+                expect(rows()[0].getElementsByClassName('admin_helper_marker')).to.have.length(1);
+                expect(document.querySelectorAll('#admin_helper_problems')).to.have.length(1);
+            });
+        });
+    });
+})();
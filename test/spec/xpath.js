@@ -47,6 +47,112 @@
         });
 
 
+        describe('typed evaluation', function() {
+            it('evaluates numbers', function() {
+                expect(Xpath.number('count(.//li)', data())).to.equal(2);
+                expect(isNaN(Xpath.number('string(.//li)', data()))).to.be.true;
+            });
+
+            it('evaluates strings', function() {
+                expect(Xpath.string('.//li/@class', data())).to.equal('foo');
+            });
+
+            it('evaluates booleans', function() {
+                expect(Xpath.boolean('.//li[@class="bar"]', data())).to.be.true;
+                expect(Xpath.boolean('.//table', data())).to.be.false;
+            });
+        });
+
+        describe('.text', function() {
+            it('returns normalized text of the first matching node', function() {
+                data().getElementsByTagName('li')[0].firstChild.nodeValue = '  item   one ';
+
+                expect(Xpath.text('.//li', data())).to.equal('item one');
+            });
+
+            it('returns an empty string when nothing matches', function() {
+                expect(Xpath.text('.//td', data())).to.equal('');
+            });
+        });
+
+        describe('.count', function() {
+            it('counts matching nodes', function() {
+                expect(Xpath.count('.//span', data())).to.equal(2);
+            });
+        });
+
+        describe('.iterate', function() {
+            it('returns matching nodes in order, then null', function() {
+                var spans = Xpath.iterate('.//span', data());
+
+                expect(spans.next().id).to.equal('first_span');
+                expect(spans.next().id).to.equal('second_span');
+                expect(spans.next()).to.be.null;
+            });
+        });
+
+        describe('.css', function() {
+            it('returns a query result of matching nodes', function() {
+                var result = Xpath.css('li.bar span', data());
+
+                expect(result).to.be.an.instanceof(QueryResult);
+                expect(result.map(function(node) {
+                    return node.id;
+                })).to.eql(['second_span']);
+            });
+
+            it('names invalid selectors in errors', function() {
+                var error;
+
+                try {
+                    Xpath.css('li[', data());
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error.message).to.match(/^Invalid CSS selector "li\["/);
+                expect(error.query).to.equal('li[');
+            });
+        });
+
+        describe('query errors', function() {
+            it('names invalid queries in errors', function() {
+                var error;
+
+                try {
+                    Xpath.findAll('//li[', data());
+                } catch (e) {
+                    error = e;
+                }
+
+                expect(error.message).to.match(/^Invalid xpath query "\/\/li\["/);
+                expect(error.query).to.equal('//li[');
+            });
+        });
+
+        describe('._resolveNamespace', function() {
+            it('resolves known prefixes', function() {
+                expect(Xpath._resolveNamespace('svg')).to.equal('http://www.w3.org/2000/svg');
+                expect(Xpath._resolveNamespace('foo')).to.be.null;
+            });
+        });
+
+        describe('.literal', function() {
+            it('double quotes plain strings', function() {
+                expect(Xpath.literal('ADMIN')).to.equal('"ADMIN"');
+            });
+
+            it('single quotes strings containing double quotes', function() {
+                expect(Xpath.literal('a"b')).to.equal('\'a"b\'');
+            });
+
+            it('concatenates strings containing both quote types', function() {
+                var query = 'string(' + Xpath.literal('a"b\'c') + ')';
+
+                expect(document.evaluate(query, document, null, XPathResult.STRING_TYPE, null).stringValue).to.equal('a"b\'c');
+            });
+        });
+
         describe('.find', function() {
             context('when nodes match the search', function() {
                 it('returns a single node', function() {
@@ -48,4 +48,11 @@ var local = function (callback, teardown) {
   });
  
   return memoizer;
-};
\ No newline at end of file
+};
+/**
+ * Stop live refreshes started by the content script, so that fixtures
+ * added during tests are only processed when a test asks for it
+ */
+before(function() {
+    AdminHelper.disconnect();
+});
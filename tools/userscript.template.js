@@ -3,10 +3,29 @@
 // @namespace     http://github.com/Billiam
 // @description   Admin entry timesheet helper for mainframe
 // @include       https://mainframe.nerdery.com/timesheet.php*
+// @include       https://mainframe.nerdery.com/timesheet_report.php*
+// @include       https://mainframe.nerdery.com/timesheet_approval.php*
 // @version       <%= pkg.version %>
 // @run-at        document-end
 // @icon          http://billiam.github.io/admin-helper/icon-128.png
 // @updateUrl     http://billiam.github.io/admin-helper/admin-helper.user.js
+// @grant         GM_addStyle
+// @grant         GM.addStyle
+// @grant         GM.getValue
+// @grant         GM.setValue
+// @grant         GM_addValueChangeListener
+// @grant         GM_removeValueChangeListener
 // ==/UserScript==
-GM_addStyle('<%= css %>');
+(function(css) {
+    // Greasemonkey 4 provides neither GM_addStyle nor GM.addStyle to sandboxed scripts
+    if (typeof GM_addStyle === 'function') {
+        GM_addStyle(css);
+    } else if (typeof GM !== 'undefined' && typeof GM.addStyle === 'function') {
+        GM.addStyle(css);
+    } else {
+        var style = document.createElement('style');
+        style.textContent = css;
+        (document.head || document.documentElement).appendChild(style);
+    }
+})(<%= css %>);
 <%= script %>
\ No newline at end of file